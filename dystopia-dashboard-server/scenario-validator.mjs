@@ -0,0 +1,238 @@
+import fs from "node:fs";
+import path from "node:path";
+import url from "node:url";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+export const SCENARIO_SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, "scenario.schema.json"), "utf8"));
+
+/**
+ * Just the JSON Schema (draft-07) keywords scenario.schema.json uses: $ref to local definitions, type,
+ * enum/const, required, properties/patternProperties/additionalProperties, items, anyOf and the
+ * numeric/length/item bounds. Errors are { path, message } with JSON Pointer paths ("/events/3/t").
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`unsupported $ref ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node?.[key], root);
+}
+
+function pointerKey(key) {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function check(root, schema, value, at, errors) {
+  if (schema.$ref) return check(root, resolveRef(root, schema.$ref), value, at, errors);
+  const fail = (message) => { errors.push({ path: at || "/", message }); };
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) return fail(`must be ${types.join(" or ")}, got ${typeOf(value)}`);
+  }
+  if ("const" in schema && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((branch) => {
+      const branchErrors = [];
+      check(root, branch, value, at, branchErrors);
+      return branchErrors;
+    });
+    if (!branches.some((branchErrors) => !branchErrors.length)) {
+      // a branch that got past the top-level checks explains the problem best; otherwise list what was expected
+      const deeper = branches.filter((b) => b.some((error) => error.path !== (at || "/")));
+      if (deeper.length) errors.push(...deeper.reduce((a, b) => (b.length < a.length ? b : a)));
+      else fail(branches.map((b) => b[0].message).join("; or "));
+      return;
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === "string" && schema.minLength != null && value.length < schema.minLength) {
+    fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) fail("must not contain duplicates");
+    if (schema.items) value.forEach((item, i) => check(root, schema.items, item, `${at}/${i}`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required property '${key}'`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = `${at}/${pointerKey(key)}`;
+      if (schema.properties && key in schema.properties) {
+        check(root, schema.properties[key], child, childAt, errors);
+        continue;
+      }
+      const pattern = Object.keys(schema.patternProperties || {}).find((p) => new RegExp(p).test(key));
+      if (pattern) {
+        check(root, schema.patternProperties[pattern], child, childAt, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childAt, message: "unknown property" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        check(root, schema.additionalProperties, child, childAt, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Cross-field rules a schema can't express: unique ids, answers that exist among the offered actions
+ * and dimension scores that only use the dimensions meta.dimensions declares.
+ */
+function offeredActions(ev) {
+  if (Array.isArray(ev.actions) && ev.actions.length) return ev.actions;
+  if (Array.isArray(ev.allowedActions) && ev.allowedActions.length) return ev.allowedActions;
+  return ev.actionScores && typeof ev.actionScores === "object" ? Object.keys(ev.actionScores) : null;
+}
+
+function checkEvent(ev, at, errors) {
+  if (ev.requiresAction === false) return;
+  if (ev.responseWindowSec == null) errors.push({ path: at, message: "missing required property 'responseWindowSec' (or set requiresAction: false)" });
+  const offered = offeredActions(ev);
+  const compound = ev.answerType === "multi" || ev.answerType === "sequence";
+  if (compound && !Array.isArray(ev.correctActions)) {
+    errors.push({ path: at, message: `${ev.answerType} events need correctActions` });
+  }
+  if (!compound && ev.correctAction == null && !ev.actionScores) {
+    errors.push({ path: at, message: "needs correctAction or actionScores (or set requiresAction: false)" });
+  }
+  if (!offered) return;
+  if (!compound && typeof ev.correctAction === "string" && !offered.includes(ev.correctAction)) {
+    errors.push({ path: `${at}/correctAction`, message: `'${ev.correctAction}' is not one of the offered actions (${offered.join(", ")})` });
+  }
+  if (compound && Array.isArray(ev.correctActions)) {
+    ev.correctActions.forEach((action, j) => {
+      if (!offered.includes(action)) errors.push({ path: `${at}/correctActions/${j}`, message: `'${action}' is not one of the offered actions` });
+    });
+  }
+  for (const action of Object.keys(ev.actionScores || {})) {
+    if (!offered.includes(action)) errors.push({ path: `${at}/actionScores/${pointerKey(action)}`, message: `'${action}' is not one of the offered actions` });
+  }
+}
+
+function declaredDimensions(scenario) {
+  const list = Array.isArray(scenario.meta?.dimensions) ? scenario.meta.dimensions : [];
+  return list.map((entry) => (typeof entry === "string" ? entry : entry?.id)).filter((id) => typeof id === "string" && id);
+}
+
+function checkDimensions(dimensions, errors) {
+  const seen = new Set();
+  dimensions.forEach((id, i) => {
+    if (id === "score") errors.push({ path: `/meta/dimensions/${i}`, message: "'score' is reserved for the total score" });
+    else if (seen.has(id)) errors.push({ path: `/meta/dimensions/${i}`, message: `duplicate dimension '${id}'` });
+    seen.add(id);
+  });
+}
+
+function checkDimensionScores(ev, at, dimensions, errors) {
+  for (const [action, deltas] of Object.entries(ev.dimensionScores)) {
+    if (!deltas || typeof deltas !== "object") continue;
+    for (const dimension of Object.keys(deltas)) {
+      if (!dimensions.includes(dimension)) {
+        errors.push({
+          path: `${at}/dimensionScores/${pointerKey(action)}/${pointerKey(dimension)}`,
+          message: `'${dimension}' is not declared in meta.dimensions${dimensions.length ? ` (${[...new Set(dimensions)].join(", ")})` : ""}`,
+        });
+      }
+    }
+  }
+}
+
+function checkBranchCases(ev, at, errors) {
+  const { by, cases } = ev.branches;
+  if (!Array.isArray(cases)) return;
+  const offered = offeredActions(ev);
+  cases.forEach((branch, j) => {
+    if (!branch || typeof branch !== "object") return;
+    const caseAt = `${at}/branches/cases/${j}`;
+    if (by === "majorityAction") {
+      if (typeof branch.action !== "string") errors.push({ path: caseAt, message: "majorityAction cases need an action" });
+      else if (offered && !offered.includes(branch.action)) errors.push({ path: `${caseAt}/action`, message: `'${branch.action}' is not one of the offered actions` });
+    } else if (typeof branch.atLeast !== "number") {
+      errors.push({ path: caseAt, message: `${by} cases need atLeast` });
+    } else if (by === "percentCorrect" && (branch.atLeast < 0 || branch.atLeast > 100)) {
+      errors.push({ path: `${caseAt}/atLeast`, message: "must be a percentage between 0 and 100" });
+    }
+  });
+}
+
+function checkOutcomeRules(ev, at, errors) {
+  const offered = offeredActions(ev);
+  ev.dashboardOnOutcome.forEach((rule, j) => {
+    if (!rule || typeof rule !== "object") return;
+    const ruleAt = `${at}/dashboardOnOutcome/${j}`;
+    if (rule.by === "majorityAction") {
+      if (typeof rule.action !== "string") errors.push({ path: ruleAt, message: "majorityAction rules need an action" });
+      else if (offered && !offered.includes(rule.action)) errors.push({ path: `${ruleAt}/action`, message: `'${rule.action}' is not one of the offered actions` });
+    } else if (typeof rule.atLeast !== "number" && typeof rule.below !== "number") {
+      errors.push({ path: ruleAt, message: `${rule.by} rules need atLeast or below` });
+    } else if (typeof rule.atLeast === "number" && typeof rule.below === "number" && rule.atLeast >= rule.below) {
+      errors.push({ path: ruleAt, message: "atLeast must be lower than below" });
+    }
+  });
+}
+
+/** Two event occurrences can never run together when they sit in different cases of the same branches */
+function mutuallyExclusive(a, b) {
+  return [...a.choices].some(([branchAt, caseAt]) => b.choices.has(branchAt) && b.choices.get(branchAt) !== caseAt);
+}
+
+function checkSemantics(scenario, errors) {
+  const dimensions = declaredDimensions(scenario);
+  checkDimensions(dimensions, errors);
+  // event ids only need to be unique along each path a run can take, so alternative branches may reuse them
+  const seen = new Map();
+  const walk = (events, at, choices) => {
+    if (!Array.isArray(events)) return;
+    events.forEach((ev, i) => {
+      if (!ev || typeof ev !== "object") return;
+      const evAt = `${at}/${i}`;
+      if (typeof ev.id === "string") {
+        const occurrence = { at: evAt, choices };
+        const clash = (seen.get(ev.id) || []).find((other) => !mutuallyExclusive(occurrence, other));
+        if (clash) errors.push({ path: `${evAt}/id`, message: `duplicate event id '${ev.id}' (also ${clash.at})` });
+        seen.set(ev.id, [...(seen.get(ev.id) || []), occurrence]);
+      }
+      checkEvent(ev, evAt, errors);
+      if (ev.dimensionScores && typeof ev.dimensionScores === "object") checkDimensionScores(ev, evAt, dimensions, errors);
+      if (Array.isArray(ev.dashboardOnOutcome)) checkOutcomeRules(ev, evAt, errors);
+      if (!ev.branches || typeof ev.branches !== "object") return;
+      checkBranchCases(ev, evAt, errors);
+      const follow = (branchEvents, caseKey) => {
+        walk(branchEvents, `${evAt}/branches/${caseKey}/events`, new Map([...choices, [evAt, caseKey]]));
+      };
+      (Array.isArray(ev.branches.cases) ? ev.branches.cases : []).forEach((branch, j) => follow(branch?.events, `cases/${j}`));
+      follow(ev.branches.otherwise?.events, "otherwise");
+    });
+  };
+  walk(scenario.events, "/events", new Map());
+}
+
+/** Returns every problem found in a parsed scenario ([] when it is valid) */
+export function validateScenario(scenario) {
+  const errors = [];
+  check(SCENARIO_SCHEMA, SCENARIO_SCHEMA, scenario, "", errors);
+  if (typeOf(scenario) === "object") checkSemantics(scenario, errors);
+  return errors;
+}
@@ -1,19 +1,42 @@
 import fs from "node:fs";
+import crypto from "node:crypto";
 import path from "node:path";
 import http from "node:http";
 import url from "node:url";
 import express from "express";
 import cors from "cors";
 import { WebSocketServer } from "ws";
-import { nanoid } from "nanoid";
+import { nanoid, customAlphabet } from "nanoid";
+import { validateScenario } from "./scenario-validator.mjs";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
 /** Config */
 const PORT = process.env.PORT ? Number(process.env.PORT) : 8787;
 const TICK_MS = 500;
-
-/** In-memory store (ok for exhibitions; swap to Redis/Postgres later) */
+const SESSION_STORE = (process.env.SESSION_STORE || "file").toLowerCase(); // "file" | "memory"
+const SESSION_STORE_DIR = process.env.SESSION_STORE_DIR || path.join(__dirname, "data", "sessions");
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || path.join(__dirname, "scenarios");
+const PERSIST_DEBOUNCE_MS = 250;
+// Session expiry, measured from the last logged activity (0 disables that rule)
+const SESSION_IDLE_TTL_SEC = Number(process.env.SESSION_IDLE_TTL_SEC ?? 2 * 60 * 60);         // started, not finished
+const SESSION_FINISHED_TTL_SEC = Number(process.env.SESSION_FINISHED_TTL_SEC ?? 30 * 60);     // finalized
+const SESSION_UNSTARTED_TTL_SEC = Number(process.env.SESSION_UNSTARTED_TTL_SEC ?? 6 * 60 * 60); // never started
+const SESSION_GC_INTERVAL_MS = 60 * 1000;
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000; // longer auto-start schedules are re-armed in steps
+// Latency compensation: an input's response time is pulled back by its measured transit time, up to
+// this much; event windows stay open for the same grace so in-flight taps still land
+const LATENCY_COMP_MAX_MS = Math.max(0, Number(process.env.LATENCY_COMP_MAX_MS ?? 750));
+const CLOCK_SYNC_INTERVAL_MS = 15 * 1000;
+const CLOCK_SYNC_BURST = 5;   // pings right after a controller joins, 200ms apart
+const CLOCK_SYNC_SAMPLES = 8; // recent samples kept per participant; the lowest-RTT one wins
+// Master facilitator token (any session + admin routes); generated per boot if not pinned via env
+const FACILITATOR_TOKEN = process.env.FACILITATOR_TOKEN || nanoid(24);
+const FACILITATOR_TOKEN_FROM_ENV = Boolean(process.env.FACILITATOR_TOKEN);
+// Join codes are read off a screen and typed on phones: no 0/O, 1/I/L
+const generateJoinCode = customAlphabet("ABCDEFGHJKMNPQRSTUVWXYZ23456789", 6);
+
+/** Live sessions (mirrored to the session store below so a restart can rehydrate them) */
 const sessions = new Map();
 
 const MAX_SESSION_LOGS = 400;
@@ -22,23 +45,307 @@ const MAX_SESSION_LOGS = 400;
     id, scenarioId,
     scenario,                    // JSON
     createdAt, startedAt|null,   // ms epoch
-    timer: {intervalId|null, t:0}, // t = seconds since start, server-authoritative
+    timer: { intervalId|null, pausedAt|null, shiftMs, jobs:Set<job> }, // clock = now - startedAt - shiftMs (frozen while paused)
     sockets: { ops:Set<ws>, control:Set<ws> },
-    participants: Map<participantId, { id, codename, score:number }>,
+    participants: Map<participantId, { id, codename, score:number, dimensions?, streak?, bestStreak?, team?, codenameLocked?, ready? }>, // ready only matters in the lobby
     inputs: Map<eventId, Map<participantId, inputObj>>,
-    scoreAgg: { mean:0, max:0, activeCount:0 }
+    scoreAgg: { mean:0, max:0, activeCount:0 },
+    teamAgg: [{ team, members, score, correctEvents? }] // team mode only
   }
 */
 
+/** Session store adapters: load/save/remove plain JSON records (see serializeSession) */
+function createMemoryStore() {
+  return {
+    name: "memory",
+    loadAll: () => [],
+    save() {},
+    remove() {},
+  };
+}
+
+function createFileStore(dir = SESSION_STORE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  return {
+    name: "file",
+    loadAll() {
+      const records = [];
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith(".json")) continue;
+        try {
+          records.push(JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")));
+        } catch (err) {
+          console.warn(`[STORE] skipping unreadable session file ${name}: ${err.message}`);
+        }
+      }
+      return records;
+    },
+    save(record) {
+      // write-then-rename so a crash mid-write never leaves a truncated file behind
+      const target = fileFor(record.id);
+      const tmp = `${target}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(record));
+      fs.renameSync(tmp, target);
+    },
+    remove(id) {
+      fs.rmSync(fileFor(id), { force: true });
+    },
+  };
+}
+
+const STORE_ADAPTERS = {
+  memory: createMemoryStore,
+  file: createFileStore,
+};
+
+function createSessionStore(kind) {
+  const factory = STORE_ADAPTERS[kind];
+  if (!factory) {
+    throw new Error(`Unknown SESSION_STORE '${kind}' (expected one of: ${Object.keys(STORE_ADAPTERS).join(", ")})`);
+  }
+  return factory();
+}
+
+const store = createSessionStore(SESSION_STORE);
+
 /** Load scenario helper */
 function loadScenario(scenarioId) {
-  const p = path.join(__dirname, "scenarios", `${scenarioId}.json`);
+  const p = path.join(SCENARIOS_DIR, `${scenarioId}.json`);
   const text = fs.readFileSync(p, "utf8");
   return JSON.parse(text);
 }
 
-/** Scoring (Kahoot-style) */
-function computeScore({ event, action, nowSec }) {
+/** Catalogue of scenarios/*.json (the id is the file name); unreadable or invalid files are listed as such */
+function listScenarios() {
+  const files = fs.readdirSync(SCENARIOS_DIR).filter((name) => name.endsWith(".json")).sort();
+  return files.map((name) => {
+    const id = name.slice(0, -".json".length);
+    try {
+      const scenario = loadScenario(id);
+      const meta = scenario?.meta || {};
+      return {
+        id,
+        title: meta.title || id,
+        durationHintSec: meta.durationHintSec ?? null,
+        algoTone: meta.algoTone ?? null,
+        eventCount: Array.isArray(scenario?.events) ? scenario.events.length : 0,
+        valid: validateScenario(scenario).length === 0,
+      };
+    } catch {
+      return { id, title: id, durationHintSec: null, algoTone: null, eventCount: 0, valid: false };
+    }
+  });
+}
+
+function normalizeJoinCode(raw) {
+  return (raw ?? "").toString().trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function joinCodeMatches(session, raw) {
+  const code = normalizeJoinCode(raw);
+  return Boolean(code) && code === session.joinCode;
+}
+
+/** Inputs carry the join code too: the current one, or the one the participant was seated with before a rotation */
+function inputJoinCodeMatches(session, p, raw) {
+  return joinCodeMatches(session, raw) || (Boolean(p.joinCode) && normalizeJoinCode(raw) === p.joinCode);
+}
+
+/** Facilitator auth: "Authorization: Bearer <token>" (or x-facilitator-token) on privileged routes */
+function tokensEqual(a, b) {
+  const left = Buffer.from(String(a ?? ""));
+  const right = Buffer.from(String(b ?? ""));
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+function isFacilitatorToken(token, session) {
+  if (tokensEqual(token, FACILITATOR_TOKEN)) return true;
+  return Boolean(session) && tokensEqual(token, session.facilitatorToken);
+}
+
+function requestToken(req) {
+  const header = req.get("authorization") || "";
+  const bearer = header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+  return bearer || (req.get("x-facilitator-token") || "").trim();
+}
+
+/** Route guard for /api/session/:id/* (per-session or master token) */
+function requireFacilitator(req, res, next) {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  const token = requestToken(req);
+  if (!token) return res.status(401).json({ error: "FACILITATOR_TOKEN_REQUIRED" });
+  if (!isFacilitatorToken(token, session)) return res.status(403).json({ error: "FACILITATOR_TOKEN_INVALID" });
+  next();
+}
+
+/** Participant tokens: "<participantId>.<hmac>" signed with a per-session secret, issued in the control hello_ack */
+function signParticipantToken(session, participantId) {
+  const sig = crypto.createHmac("sha256", session.tokenSecret).update(`${session.id}:${participantId}`).digest("base64url");
+  return `${participantId}.${sig}`;
+}
+
+/** Returns the participantId a token was issued for, or null if it is malformed or forged */
+function verifyParticipantToken(session, raw) {
+  const token = (raw ?? "").toString().trim();
+  const dot = token.lastIndexOf(".");
+  if (dot <= 0) return null;
+  const participantId = token.slice(0, dot);
+  return tokensEqual(token, signParticipantToken(session, participantId)) ? participantId : null;
+}
+
+/**
+ * Scoring strategies: each maps a correct answer's response time to a factor (0..1) of pointsPossible.
+ * Chosen by event.scoring, falling back to scenario meta.scoring, then "kahoot". A spec is either a
+ * strategy name or { strategy, ...params }; an event spec without a strategy only overrides params.
+ */
+const SCORING_STRATEGIES = {
+  // linear decay from full points down to `floor` (default half) at the end of the window
+  kahoot: ({ responseTime, window, params }) => {
+    const floor = params.floor ?? 0.5;
+    return 1 - (responseTime / window) * (1 - floor);
+  },
+  // full points during an optional grace period, then linear down to zero at the end of the window
+  "linear-to-zero": ({ responseTime, window, params }) => {
+    const grace = Math.min(params.graceSec ?? 0, window);
+    if (responseTime <= grace) return 1;
+    return 1 - (responseTime - grace) / Math.max(1e-9, window - grace);
+  },
+  // any correct answer inside the window scores full points
+  binary: () => 1,
+  // steps: [{ withinSec, factor }], first matching step wins; `otherwise` (default 0) after the last one
+  "step-thresholds": ({ responseTime, params }) => {
+    const steps = [...(params.steps || [])].sort((a, b) => a.withinSec - b.withinSec);
+    const step = steps.find((s) => responseTime <= s.withinSec);
+    return step ? step.factor : params.otherwise ?? 0;
+  },
+  // halves every `halfLifeSec` (default a quarter of the window), never below `floor` (default 0)
+  "exponential-decay": ({ responseTime, window, params }) => {
+    const halfLife = params.halfLifeSec ?? window / 4;
+    const floor = params.floor ?? 0;
+    return floor + (1 - floor) * Math.pow(0.5, responseTime / halfLife);
+  },
+};
+
+function scoringSpec(raw) {
+  if (!raw) return {};
+  return typeof raw === "string" ? { strategy: raw } : { ...raw };
+}
+
+function resolveScoring(scenario, event) {
+  const base = scoringSpec(scenario?.meta?.scoring);
+  const own = scoringSpec(event.scoring);
+  const strategy = own.strategy || base.strategy || "kahoot";
+  const params = own.strategy && own.strategy !== base.strategy ? own : { ...base, ...own };
+  delete params.strategy;
+  return { strategy, params };
+}
+
+/**
+ * Whether a participant may change their answer while the window is open (event.answerPolicy):
+ * "first-wins" scores the first tap on arrival; "last-wins" and "limited-revisions" (event.maxRevisions
+ * changes, default 1) hold the answer and score it at close, timed from the last change.
+ */
+const ANSWER_POLICIES = ["first-wins", "last-wins", "limited-revisions"];
+
+function answerPolicy(event) {
+  const mode = event.answerPolicy ?? "first-wins";
+  const maxRevisions = mode === "last-wins" ? Infinity : mode === "limited-revisions" ? Number(event.maxRevisions ?? 1) : 0;
+  return { mode, maxRevisions, revisable: maxRevisions > 0 };
+}
+
+/**
+ * Per-action weights (event.actionScores): { [action]: points | { points, reason?, decay? } }.
+ * Positive points decay with the scoring strategy unless decay:false; the reason defaults to
+ * "correct" for the best-scoring action, "partial" for other positive ones and "wrong" otherwise.
+ */
+function actionOutcome(event, action) {
+  const table = event.actionScores;
+  if (!table || !Object.hasOwn(table, action)) return null;
+  const pointsOf = (entry) => Number(typeof entry === "number" ? entry : entry?.points) || 0;
+  const entry = table[action];
+  const points = pointsOf(entry);
+  const best = Math.max(...Object.values(table).map(pointsOf));
+  const reason = entry?.reason || (points > 0 ? (points >= best ? "correct" : "partial") : "wrong");
+  return { points, reason, decay: entry?.decay ?? points > 0 };
+}
+
+/**
+ * Streak multipliers (meta.streaks): { thresholds: [{ streak: 3, multiplier: 1.5 }, { streak: 5, multiplier: 2 }] }.
+ * Consecutive "correct" outcomes build the streak and the answer that reaches a threshold already
+ * earns its multiplier; any other outcome, a late answer or a missed window resets it.
+ */
+function streakMultiplier(scenario, streak) {
+  const thresholds = scenario?.meta?.streaks?.thresholds;
+  if (!Array.isArray(thresholds)) return 1;
+  return thresholds.reduce((best, step) => (streak >= step.streak ? Math.max(best, step.multiplier) : best), 1);
+}
+
+function updateStreak(participant, reason) {
+  participant.streak = reason === "correct" ? (participant.streak || 0) + 1 : 0;
+  participant.bestStreak = Math.max(participant.bestStreak || 0, participant.streak);
+}
+
+/**
+ * Compound answers: answerType "multi" (select all that apply) or "sequence" (tap in order), both
+ * scored against event.correctActions and submitted as `actions: []`. Exact matches are "correct";
+ * with partialCredit:true a near miss earns its matched share as "partial" (multi: right picks minus
+ * wrong picks, sequence: the correctly ordered prefix), otherwise it is "wrong".
+ */
+const COMPOUND_ANSWER_TYPES = new Set(["multi", "sequence"]);
+
+function answerShare(event, actions) {
+  const expected = event.correctActions || [];
+  if (!expected.length) return 0;
+  if (event.answerType === "sequence") {
+    let prefix = 0;
+    while (prefix < expected.length && actions[prefix] === expected[prefix]) prefix++;
+    return prefix / Math.max(expected.length, actions.length);
+  }
+  const picked = new Set(actions);
+  const hits = expected.filter((action) => picked.has(action)).length;
+  return Math.max(0, (hits - (picked.size - hits)) / expected.length);
+}
+
+function answerLabel(event, actions) {
+  return actions.join(event.answerType === "sequence" ? " → " : " + ");
+}
+
+/**
+ * Named score dimensions (meta.dimensions: ["compliance", "empathy", ...] or [{ id, label }]) run
+ * alongside the main score. event.dimensionScores maps each action to its deltas, e.g.
+ * { "Dispatch units": { compliance: 10, empathy: -5 } }; multi/sequence answers add up their picks.
+ * Dimensions are not time-decayed or streak-multiplied.
+ */
+function scenarioDimensions(scenario) {
+  const list = Array.isArray(scenario?.meta?.dimensions) ? scenario.meta.dimensions : [];
+  return list.map((entry) => (typeof entry === "string" ? entry : entry?.id)).filter(Boolean);
+}
+
+function dimensionDeltas(event, picks) {
+  const table = event.dimensionScores;
+  if (!table) return null;
+  const deltas = {};
+  for (const pick of picks) {
+    for (const [dimension, value] of Object.entries(table[pick] || {})) {
+      deltas[dimension] = (deltas[dimension] || 0) + value;
+    }
+  }
+  return Object.keys(deltas).length ? deltas : null;
+}
+
+/** The action the algorithm pushes: correctAction, else the best-scoring entry of actionScores */
+function directedAction(event) {
+  if (COMPOUND_ANSWER_TYPES.has(event.answerType)) return answerLabel(event, event.correctActions || []);
+  if (event.correctAction) return event.correctAction;
+  const ranked = Object.keys(event.actionScores || {})
+    .map((action) => ({ action, points: actionOutcome(event, action).points }))
+    .sort((a, b) => b.points - a.points);
+  return ranked[0]?.action || "";
+}
+
+function computeScore({ scenario, event, action, actions = [], nowSec }) {
   const window = event.responseWindowSec;
   const start = event.t;
   const end = start + window;
@@ -55,15 +362,34 @@ function computeScore({ event, action, nowSec }) {
     return { delta: 0, reason: "too_early" };
   }
 
+  const responseTime = Math.max(0, nowSec - start); // seconds
+  const { strategy, params } = resolveScoring(scenario, event);
+  const scorer = SCORING_STRATEGIES[strategy] || SCORING_STRATEGIES.kahoot;
+  const factor = Math.min(1, Math.max(0, Number(scorer({ responseTime, window, params })) || 0));
+
+  if (COMPOUND_ANSWER_TYPES.has(event.answerType)) {
+    const share = answerShare(event, actions);
+    if (share >= 1) return { delta: Math.round(factor * pointsPossible), reason: "correct", responseTime };
+    if (event.partialCredit && share > 0) {
+      return { delta: Math.round(factor * share * pointsPossible), reason: "partial", responseTime };
+    }
+    return { delta: penalties.wrong, reason: "wrong", responseTime };
+  }
+
+  // weighted actions take precedence over correctAction / penalties.wrong
+  const weighted = actionOutcome(event, action);
+  if (weighted) {
+    const delta = weighted.decay ? Math.round(factor * weighted.points) : weighted.points;
+    return { delta, reason: weighted.reason, responseTime };
+  }
+
   // wrong action inside window
   if (action !== event.correctAction) {
     return { delta: penalties.wrong, reason: "wrong" };
   }
 
-  // correct inside window: Kahoot-like decay
-  const responseTime = Math.max(0, nowSec - start); // seconds
-  const factor = 1 - ((responseTime / window) / 2); // 1..0.5
-  const pts = Math.round(Math.max(0, factor) * pointsPossible);
+  // correct inside window: scaled by the event's scoring strategy
+  const pts = Math.round(factor * pointsPossible);
   return { delta: pts, reason: "correct", responseTime };
 }
 
@@ -93,6 +419,9 @@ function sessionLog(session, tag, message, level = "info", meta) {
   if (session.logs.length > MAX_SESSION_LOGS) {
     session.logs.splice(0, session.logs.length - MAX_SESSION_LOGS);
   }
+  // every state change is logged, so this doubles as the persistence + activity hook
+  session.lastActivityAt = entry.ts;
+  persistSession(session);
   const tagLabel = tag ? `[${tag}]` : "[LOG]";
   console.log(`[${session.id}] ${tagLabel} ${message}`);
   try {
@@ -264,6 +593,15 @@ function mergeList(existing, { mode = "replace", items = [], removeIds = [] }) {
   return next;
 }
 
+/** A numeric patch field is either the new value or { add: n } relative to the current one */
+function patchNumber(current, raw) {
+  if (raw && typeof raw === "object") {
+    const add = Number(raw.add);
+    return Number.isFinite(add) ? (Number(current) || 0) + add : NaN;
+  }
+  return Number(raw);
+}
+
 function applyDashboardPatch(session, patch, options = {}) {
   if (!session || !patch || typeof patch !== "object") return;
   const state = ensureDashboardState(session);
@@ -271,14 +609,14 @@ function applyDashboardPatch(session, patch, options = {}) {
   const outgoing = {};
 
   if (patch.incidentSum !== undefined) {
-    const value = Number(patch.incidentSum);
+    const value = patchNumber(state.incidentSum, patch.incidentSum);
     if (Number.isFinite(value)) {
       state.incidentSum = value;
       outgoing.incidentSum = value;
     }
   }
   if (patch.recalibrationSum !== undefined) {
-    const value = Number(patch.recalibrationSum);
+    const value = patchNumber(state.recalibrationSum, patch.recalibrationSum);
     if (Number.isFinite(value)) {
       state.recalibrationSum = value;
       outgoing.recalibrationSum = value;
@@ -341,7 +679,10 @@ function applyDashboardPatch(session, patch, options = {}) {
 
   if (patch.caloricStockpile) {
     const cfg = patch.caloricStockpile;
-    const value = Number(cfg.value);
+    // { add } drains or tops up the current stockpile, which never goes below zero
+    const value = cfg.add !== undefined
+      ? Math.max(0, patchNumber(state.caloricStockpile?.value, { add: cfg.add }))
+      : Number(cfg.value);
     const etaSeconds = cfg.etaSeconds !== undefined ? Number(cfg.etaSeconds) : undefined;
     const unit = typeof cfg.unit === "string" ? cfg.unit : undefined;
     const payload = {};
@@ -355,14 +696,14 @@ function applyDashboardPatch(session, patch, options = {}) {
   }
 
   if (patch.implantOperationalRate !== undefined) {
-    const value = Number(patch.implantOperationalRate);
+    const value = patchNumber(state.implantOperationalRate, patch.implantOperationalRate);
     if (Number.isFinite(value)) {
       state.implantOperationalRate = value;
       outgoing.implantOperationalRate = value;
     }
   }
   if (patch.implantAdoptionRate !== undefined) {
-    const value = Number(patch.implantAdoptionRate);
+    const value = patchNumber(state.implantAdoptionRate, patch.implantAdoptionRate);
     if (Number.isFinite(value)) {
       state.implantAdoptionRate = value;
       outgoing.implantAdoptionRate = value;
@@ -453,44 +794,120 @@ function recomputeAgg(session) {
   const mean = vals.length ? (vals.reduce((a,b)=>a+b,0) / vals.length) : 0;
   const max = vals.length ? Math.max(...vals) : 0;
   session.scoreAgg = { mean, max, activeCount: vals.length };
+  session.teamAgg = computeTeamAgg(session);
+}
+
+/**
+ * Team mode (meta.teams or the create body): { names: ["Red", "Blue"], assign?, scoring? }.
+ * assign "round-robin" (default) puts each newcomer in the smallest squad; "choice" lets controllers
+ * pick in the lobby and fills in anyone still unassigned at start. scoring "sum" (default) or "mean"
+ * of member scores, or "majority": an event's pointsPossible for every closed event most members got right.
+ */
+const TEAM_ASSIGN_MODES = new Set(["round-robin", "choice"]);
+const TEAM_SCORING_RULES = new Set(["sum", "mean", "majority"]);
+
+function normalizeTeams(raw) {
+  if (raw == null || raw === false) return null;
+  const spec = Array.isArray(raw) ? { names: raw } : raw;
+  if (typeof spec !== "object") throw new Error("teams must be an object or a list of squad names");
+  const names = [...new Set((spec.names || []).map((name) => String(name).trim()).filter(Boolean))];
+  if (names.length < 2) throw new Error("teams.names needs at least two squad names");
+  const assign = spec.assign ?? "round-robin";
+  if (!TEAM_ASSIGN_MODES.has(assign)) throw new Error(`teams.assign must be one of: ${[...TEAM_ASSIGN_MODES].join(", ")}`);
+  const scoring = spec.scoring ?? "sum";
+  if (!TEAM_SCORING_RULES.has(scoring)) throw new Error(`teams.scoring must be one of: ${[...TEAM_SCORING_RULES].join(", ")}`);
+  return { names, assign, scoring };
+}
+
+function teamMembers(session, team) {
+  return [...session.participants.values()].filter((p) => p.team === team);
+}
+
+function assignTeam(session, participant) {
+  if (!session.teams || participant.team) return;
+  const sizes = session.teams.names.map((team) => ({ team, size: teamMembers(session, team).length }));
+  participant.team = sizes.reduce((smallest, entry) => (entry.size < smallest.size ? entry : smallest)).team;
+}
+
+function computeTeamAgg(session) {
+  if (!session.teams) return [];
+  const { names, scoring } = session.teams;
+  return names.map((team) => {
+    const members = teamMembers(session, team);
+    const total = members.reduce((sum, p) => sum + (p.score || 0), 0);
+    if (scoring === "mean") {
+      return { team, members: members.length, score: members.length ? Math.round(total / members.length) : 0 };
+    }
+    if (scoring === "majority") {
+      let score = 0;
+      let correctEvents = 0;
+      for (const ev of session.scenario.events) {
+        if (!ev._closed || !members.length) continue;
+        const perEvent = session.inputs.get(ev.id);
+        const counted = members.filter((p) => perEvent?.get(p.id)?.reason !== "exempt");
+        const correct = counted.filter((p) => perEvent?.get(p.id)?.reason === "correct").length;
+        if (correct * 2 > counted.length) {
+          correctEvents += 1;
+          score += ev.pointsPossible ?? 100;
+        }
+      }
+      return { team, members: members.length, score, correctEvents };
+    }
+    return { team, members: members.length, score: total };
+  });
+}
+
+function teamLeaderboardRows(session) {
+  return [...(session.teamAgg || [])]
+    .sort((a, b) => b.score - a.score)
+    .map((row, idx) => ({ ...row, rank: idx + 1 }));
 }
 
 /** event open/close helpers */
+/**
+ * requiresAction:false marks a narrative beat: it drives dashboard patches, algo lines and ops alerts
+ * (shown for responseWindowSec, if set), never opens a controller action window and never scores.
+ */
+function isInformational(ev) {
+  return ev.requiresAction === false;
+}
+
+/** Session second at which an event's window ends (a bulletin without a window ends as it opens) */
+function eventCloseSec(ev) {
+  return ev.t + (ev.responseWindowSec ?? 0);
+}
+
+function bulletinMessage(ev) {
+  return {
+    type: "bulletin", eventId: ev.id, level: ev.level || null, kind: ev.type || null,
+    title: ev.title || "", details: ev.details || "", location: ev.location || "",
+  };
+}
+
 function openEventsIfNeeded(session, tSec) {
   for (const ev of session.scenario.events) {
     if (ev._opened || tSec < ev.t) continue;
     ev._opened = true;
+    const informational = isInformational(ev);
     sessionLog(
       session,
       "EVENT OPEN",
-      `${ev.id} '${ev.title || ev.correctAction}' @t=${ev.t}s window=${ev.responseWindowSec}s loc='${ev.location || ""}'`,
+      `${ev.id} '${ev.title || directedAction(ev)}' @t=${ev.t}s ${informational ? "bulletin" : `window=${ev.responseWindowSec}s`} loc='${ev.location || ""}'`,
       "event"
     );
-    // announce opening
+    // announce opening; narrative beats reach controllers as a bulletin, not an action prompt
     bcast(session.sockets.ops, { type: "event_open", event: ev });
-    bcast(session.sockets.control, { type: "event_open", event: publicEvent(ev) });
-
-    // schedule algo copy ticks (per tOffset)
-    if (Array.isArray(ev.algoCopy)) {
-      for (const hint of ev.algoCopy) {
-        setTimeout(() => {
-          // if still within window, emit
-          const nowT = getSessionT(session);
-          if (nowT <= ev.t + ev.responseWindowSec) {
-            bcast(session.sockets.control, { type: "algo", eventId: ev.id, text: hint.text });
-            bcast(session.sockets.ops,      { type: "algo", eventId: ev.id, text: hint.text });
-          }
-        }, Math.max(0, (ev.t + hint.tOffset - tSec) * 1000));
-      }
-    } else {
+    bcast(session.sockets.control, informational ? bulletinMessage(ev) : { type: "event_open", event: publicEvent(ev) });
+
+    if (!informational && !Array.isArray(ev.algoCopy)) {
       // default "abrasive" tone prompt
-      const text = `EXECUTE: ${ev.correctAction.toUpperCase()} at ${ev.location}.`;
+      const text = `EXECUTE: ${directedAction(ev).toUpperCase()} at ${ev.location}.`;
       bcast(session.sockets.control, { type: "algo", eventId: ev.id, text });
       bcast(session.sockets.ops,      { type: "algo", eventId: ev.id, text });
     }
 
-    // schedule auto-close
-    setTimeout(() => closeEvent(session, ev.id), Math.max(0, (ev.t + ev.responseWindowSec - tSec) * 1000));
+    // schedule algo copy ticks + auto-close
+    armEventTimers(session, ev);
 
     if (ev.dashboard) {
       applyDashboardPatch(session, ev.dashboard);
@@ -498,60 +915,307 @@ function openEventsIfNeeded(session, tSec) {
   }
 }
 
-function closeEvent(session, eventId) {
-  const ev = session.scenario.events.find(e => e.id === eventId);
-  if (!ev || ev._closed) return;
-  ev._closed = true;
-  sessionLog(session, "EVENT CLOSE", `${eventId} window closed`, "event");
+/**
+ * Schedules an open event's algoCopy lines and its auto-close against the session clock.
+ * When restoring after a restart, algo lines whose moment already passed are not replayed.
+ */
+function armEventTimers(session, ev, { restoring = false } = {}) {
+  const nowMs = getSessionMs(session);
+  if (Array.isArray(ev.algoCopy)) {
+    for (const hint of ev.algoCopy) {
+      const atMs = (ev.t + (hint.tOffset || 0)) * 1000;
+      if (restoring && atMs < nowMs) continue;
+      const job = scheduleAt(session, atMs, () => {
+        // if still within window, emit
+        const nowT = getSessionT(session);
+        if (isInformational(ev) || nowT <= eventCloseSec(ev)) {
+          bcast(session.sockets.control, { type: "algo", eventId: ev.id, text: hint.text });
+          bcast(session.sockets.ops,      { type: "algo", eventId: ev.id, text: hint.text });
+        }
+      });
+      job.eventId = ev.id;
+    }
+  }
+  const closeAtMs = eventCloseSec(ev) * 1000 + (isInformational(ev) ? 0 : LATENCY_COMP_MAX_MS);
+  scheduleAt(session, closeAtMs, () => closeEvent(session, ev.id)).eventId = ev.id;
+}
+
+/** Puts an open event back to unopened (a seek moved the clock before its t): drops its timers and hides it */
+function rewindEvent(session, ev) {
+  for (const job of session.timer.jobs) {
+    if (job.eventId !== ev.id) continue;
+    if (job.handle) clearTimeout(job.handle);
+    session.timer.jobs.delete(job);
+  }
+  ev._opened = false;
+  bcast(session.sockets.ops, { type: "event_close", eventId: ev.id });
+  if (!isInformational(ev)) bcast(session.sockets.control, { type: "event_close", eventId: ev.id });
+}
+
+function scheduleFinalize(session) {
+  const endDelay = (session.scenario.meta?.endBufferSec ?? 8) * 1000;
+  scheduleAt(session, getSessionMs(session) + endDelay, () => finalizeSession(session));
+}
 
-  // penalize noResponse for participants without an input
+/** Scores held answers and applies noResponse penalties (or exemptions) for a closing event */
+function settleEvent(session, ev) {
+  const eventId = ev.id;
+  // answers held open for revision are scored now, at their last revision's response time
   const perEvent = session.inputs.get(eventId) || new Map();
+  for (const [pid, input] of perEvent) {
+    const p = session.participants.get(pid);
+    if (input.pending && p) scoreInput(session, ev, p, input);
+  }
+
+  // penalize noResponse for participants without an input (a late tap doesn't count as one),
+  // unless the scenario's noResponse policy exempts them
+  session.inputs.set(eventId, perEvent);
+  const exempted = [];
   for (const [pid, p] of session.participants) {
-    if (!perEvent.has(pid)) {
+    const input = perEvent.get(pid);
+    const exempt = input ? null : noResponseExemption(session, ev, p);
+    if (exempt) {
+      perEvent.set(pid, { participantId: pid, eventId, action: null, delta: 0, reason: "exempt", exempt, t: getSessionT(session) });
+      exempted.push(`${p.codename} (${exempt.replace("_", " ")})`);
+      bcastPersonal(session, pid, { type: "feedback", eventId, delta: 0, total: p.score || 0, reason: "exempt", exempt });
+      continue;
+    }
+    if (!input || input.reason === "late") {
       const delta = ev.penalties?.noResponse ?? -50;
       p.score = (p.score || 0) + delta;
+      recordPenalty(perEvent, { participantId: pid, eventId, reason: "no_response", delta, t: getSessionT(session) });
+      updateStreak(p, "no_response");
       // personal feedback
       const socket = [...session.sockets.control].find(ws => ws._pid === pid);
       if (socket) {
-        socket.send(JSON.stringify({ type: "feedback", eventId, delta, total: p.score, reason: "no_response" }));
+        socket.send(JSON.stringify({ type: "feedback", eventId, delta, total: p.score, reason: "no_response", streak: 0 }));
       }
     }
   }
+  if (exempted.length) {
+    sessionLog(session, "EVENT CLOSE", `${eventId} no-response exemptions: ${exempted.join(", ")}`, "info", { eventId });
+  }
   recomputeAgg(session);
+}
+
+function closeEvent(session, eventId) {
+  const ev = session.scenario.events.find(e => e.id === eventId);
+  if (!ev || ev._closed) return;
+  ev._closed = true;
+  sessionLog(session, "EVENT CLOSE", `${eventId} ${isInformational(ev) ? "bulletin expired" : "window closed"}`, "event");
+
+  if (!isInformational(ev)) settleEvent(session, ev);
 
   bcast(session.sockets.ops, { type: "event_close", eventId });
-  bcast(session.sockets.control, { type: "event_close", eventId });
+  if (!isInformational(ev)) bcast(session.sockets.control, { type: "event_close", eventId });
 
-  // if last event closed, schedule finale
   if (ev && ev.dashboardClose) {
     applyDashboardPatch(session, ev.dashboardClose);
   }
+  if (Array.isArray(ev.dashboardOnOutcome)) applyOutcomePatches(session, ev);
+  // last, so the chosen branch's patch is what the ops wall ends up showing
+  if (ev.branches) takeBranch(session, ev);
 
+  // if last event closed, schedule finale
   const allClosed = session.scenario.events.every(e => e._closed);
   if (allClosed) {
-    const endDelay = (session.scenario.meta?.endBufferSec ?? 8) * 1000;
-    setTimeout(() => finalizeSession(session), endDelay);
+    scheduleFinalize(session);
+  }
+}
+
+/**
+ * The group's outcome on a settled event, as branches and dashboardOnOutcome read it:
+ *   "majorityAction": the most common on-time answer (null on a tie or when nobody answered),
+ *   "percentCorrect": the share (0-100) of non-exempt participants who got it right,
+ *   "meanScore":      the mean points non-exempt participants gained or lost on this event, penalties included.
+ */
+function outcomeMetric(session, ev, by) {
+  const perEvent = session.inputs.get(ev.id) || new Map();
+  const counted = [...session.participants.keys()].map((pid) => perEvent.get(pid)).filter((input) => input?.reason !== "exempt");
+  if (by === "meanScore") {
+    if (!counted.length) return 0;
+    const eventDelta = (input) => (input?.delta || 0) + (input?.penalties || []).reduce((sum, penalty) => sum + (penalty.delta || 0), 0);
+    return Math.round((counted.reduce((sum, input) => sum + eventDelta(input), 0) / counted.length) * 10) / 10;
+  }
+  if (by === "percentCorrect") {
+    if (!counted.length) return 0;
+    return Math.round((counted.filter((input) => input?.reason === "correct").length / counted.length) * 1000) / 10;
+  }
+  const tally = new Map();
+  for (const input of counted) {
+    if (input?.action && input.reason !== "late") tally.set(input.action, (tally.get(input.action) || 0) + 1);
+  }
+  const [top, runnerUp] = [...tally].sort((a, b) => b[1] - a[1]);
+  return top && !(runnerUp && runnerUp[1] === top[1]) ? top[0] : null;
+}
+
+function describeOutcome(by, value) {
+  if (by === "majorityAction") return `majority action ${value == null ? "(none)" : `'${value}'`}`;
+  return by === "percentCorrect" ? `${value}% correct` : `mean score ${value}`;
+}
+
+/**
+ * Outcome-conditional close patches (event.dashboardOnOutcome), applied after dashboardClose:
+ * [{ by, action? | atLeast? / below?, dashboard }]. Every matching rule applies, in order; a
+ * majorityAction rule matches its action, a numeric one atLeast <= value < below (either bound optional).
+ */
+function applyOutcomePatches(session, ev) {
+  const applied = [];
+  ev.dashboardOnOutcome.forEach((rule, i) => {
+    if (!rule?.dashboard) return;
+    const value = outcomeMetric(session, ev, rule.by);
+    const hit = rule.by === "majorityAction"
+      ? value != null && value === rule.action
+      : (rule.atLeast == null || value >= rule.atLeast) && (rule.below == null || value < rule.below);
+    if (!hit) return;
+    applyDashboardPatch(session, rule.dashboard);
+    applied.push({ rule: i, summary: describeOutcome(rule.by, value) });
+  });
+  if (applied.length) {
+    sessionLog(
+      session,
+      "DASHBOARD",
+      `${ev.id} outcome patches: ${applied.map((a) => `#${a.rule} (${a.summary})`).join(", ")}`,
+      "info",
+      { eventId: ev.id, rules: applied.map((a) => a.rule) }
+    );
   }
 }
 
+/**
+ * Branching (event.branches): when the event closes, the group's outcome (outcomeMetric) picks the
+ * follow-up events and dashboard patch. { by, cases, otherwise? }: majorityAction cases [{ action }]
+ * match the most common answer, percentCorrect / meanScore cases [{ atLeast }] are tried from the
+ * highest down, `otherwise` catches the rest. A branch is { label?, dashboard?, events? }; its
+ * events' t counts from the moment the branch is taken.
+ */
+
+function pickBranch(spec, value) {
+  const cases = Array.isArray(spec.cases) ? spec.cases : [];
+  const match = spec.by === "majorityAction"
+    ? cases.find((branch) => value != null && branch.action === value)
+    : [...cases].sort((a, b) => b.atLeast - a.atLeast).find((branch) => value >= branch.atLeast);
+  return match || spec.otherwise || null;
+}
+
+function takeBranch(session, ev) {
+  const spec = ev.branches;
+  const value = outcomeMetric(session, ev, spec.by);
+  const branch = pickBranch(spec, value);
+  const label = !branch ? "none"
+    : branch.label || (branch === spec.otherwise ? "otherwise" : spec.by === "majorityAction" ? branch.action : `≥ ${branch.atLeast}`);
+  const summary = describeOutcome(spec.by, value);
+  ev._branchTaken = label;
+
+  const followUps = [];
+  if (branch) {
+    const baseT = getSessionT(session);
+    for (const follow of branch.events || []) {
+      const spawned = { ...structuredClone(follow), t: baseT + (follow.t || 0), _branchOf: ev.id };
+      session.scenario.events.push(spawned);
+      followUps.push(spawned.id);
+    }
+    if (branch.dashboard) applyDashboardPatch(session, branch.dashboard);
+  }
+  sessionLog(
+    session,
+    "BRANCH",
+    `${ev.id} → ${label} (${summary})${followUps.length ? `; next: ${followUps.join(", ")}` : ""}`,
+    "event",
+    { eventId: ev.id, by: spec.by, value, branch: label, followUps }
+  );
+  bcast(session.sockets.ops, { type: "branch", eventId: ev.id, title: ev.title || ev.id, by: spec.by, value, branch: label, summary, followUps });
+}
+
+/**
+ * Who is excused from an event's noResponse penalty (scenario meta.noResponse): people who joined
+ * after the window opened (exemptLateJoiners, default on) and, if exemptDisconnected is set, people
+ * whose controller was offline for the whole window. Times are session-clock ms.
+ */
+function noResponsePolicy(scenario) {
+  const policy = scenario?.meta?.noResponse || {};
+  return { exemptLateJoiners: policy.exemptLateJoiners ?? true, exemptDisconnected: policy.exemptDisconnected ?? false };
+}
+
+function noResponseExemption(session, ev, p) {
+  const policy = noResponsePolicy(session.scenario);
+  const openedMs = ev.t * 1000;
+  if (policy.exemptLateJoiners && (p.joinedAtMs ?? 0) > openedMs) return "joined_late";
+  if (policy.exemptDisconnected && p.disconnectedAtMs != null && p.disconnectedAtMs <= openedMs) return "disconnected";
+  return null;
+}
+
+/**
+ * Penalties land in session.inputs too, so a breakdown can explain every point: as the participant's
+ * record for the event when they never answered, otherwise appended to that record's `penalties`.
+ */
+function recordPenalty(perEvent, penalty) {
+  const input = perEvent.get(penalty.participantId);
+  if (!input) {
+    perEvent.set(penalty.participantId, penalty);
+    return;
+  }
+  const { participantId, eventId, ...entry } = penalty;
+  input.penalties = [...(input.penalties || []), entry];
+}
+
+/** Every scored outcome for one participant in event order, with the running total after each */
+function participantBreakdown(session, p) {
+  const rows = [];
+  let total = 0;
+  const events = [...session.scenario.events].sort((a, b) => a.t - b.t);
+  for (const ev of events) {
+    const input = session.inputs.get(ev.id)?.get(p.id);
+    if (!input) continue;
+    const { participantId, eventId, penalties = [], pending, ...outcome } = input;
+    const delta = pending ? 0 : input.delta || 0;
+    total += delta;
+    rows.push({
+      eventId, label: ev.title || ev.location || eventId, ...outcome,
+      action: input.action ?? null, responseMs: input.responseMs ?? null, delta, reason: pending ? "pending" : input.reason, total,
+    });
+    for (const penalty of penalties) {
+      total += penalty.delta;
+      rows.push({ eventId, label: ev.title || ev.location || eventId, action: null, responseMs: null, ...penalty, total });
+    }
+  }
+  return {
+    participantId: p.id, codename: p.codename, score: p.score || 0, bestStreak: p.bestStreak || 0,
+    ...(p.team ? { team: p.team } : {}), ...(p.dimensions ? { dimensions: p.dimensions } : {}),
+    events: rows,
+  };
+}
+
+/** rankBy is "score" or one of the scenario's dimensions; order "desc" (default) or "asc" */
+function leaderboardRows(session, { rankBy = "score", order = "desc" } = {}) {
+  const dimensions = scenarioDimensions(session.scenario);
+  const valueOf = (row) => (rankBy === "score" ? row.score : row.dimensions?.[rankBy] || 0);
+  const direction = order === "asc" ? 1 : -1;
+  return [...session.participants.values()]
+    .map(p => ({
+      participantId: p.id, codename: p.codename, score: p.score || 0, bestStreak: p.bestStreak || 0,
+      ...(p.team ? { team: p.team } : {}),
+      ...(dimensions.length ? { dimensions: Object.fromEntries(dimensions.map((d) => [d, p.dimensions?.[d] || 0])) } : {}),
+    }))
+    .sort((a,b) => direction * (valueOf(a) - valueOf(b)))
+    .map((r, idx) => ({ ...r, rank: idx + 1, ...(rankBy !== "score" ? { rankBy, rankValue: valueOf(r) } : {}) }));
+}
+
 function finalizeSession(session) {
   if (session._finalized) return;
   session._finalized = true;
   sessionLog(session, "SESSION", "Finalized. Leaderboard dispatched.", "system");
 
   // leaderboard
-  const leaderboard = [...session.participants.values()]
-    .map(p => ({ participantId: p.id, codename: p.codename, score: p.score || 0 }))
-    .sort((a,b) => b.score - a.score)
-    .map((r, idx) => ({ ...r, rank: idx + 1 }));
+  const leaderboard = leaderboardRows(session);
 
-  bcast(session.sockets.ops, { type: "final", leaderboard });
+  bcast(session.sockets.ops, { type: "final", leaderboard, teams: teamLeaderboardRows(session) });
   // personal finals
   for (const ws of session.sockets.control) {
     const pid = ws._pid;
     const me = session.participants.get(pid);
     const personalTotal = me ? (me.score || 0) : 0;
-    ws.send(JSON.stringify({ type: "final", personalTotal }));
+    ws.send(JSON.stringify({ type: "final", personalTotal, bestStreak: me?.bestStreak || 0, team: me?.team || null }));
   }
 
   // stop clock
@@ -562,19 +1226,418 @@ function finalizeSession(session) {
 }
 
 /** Session helpers */
-function getSessionT(session) {
+function getSessionMs(session) {
   if (!session.startedAt) return 0;
-  const ms = Date.now() - session.startedAt;
-  return Math.max(0, Math.floor(ms / 1000));
+  const now = session.timer.pausedAt ?? Date.now();
+  return Math.max(0, now - session.startedAt - (session.timer.shiftMs || 0));
+}
+
+function getSessionT(session) {
+  return Math.floor(getSessionMs(session) / 1000);
+}
+
+function buildSession(record) {
+  const session = {
+    id: record.id,
+    scenarioId: record.scenarioId,
+    scenario: record.scenario,
+    createdAt: record.createdAt ?? Date.now(),
+    startedAt: record.startedAt ?? null,
+    joinCode: record.joinCode || generateJoinCode(),
+    facilitatorToken: record.facilitatorToken || nanoid(24),
+    tokenSecret: record.tokenSecret || crypto.randomBytes(32).toString("base64url"),
+    autoStart: record.autoStart || null,
+    teams: record.teams || null,
+    autoStartTimer: null,
+    lobbyCountdownUntil: null,
+    timer: {
+      intervalId: null,
+      pausedAt: record.clock?.pausedAt ?? null,
+      shiftMs: record.clock?.shiftMs ?? 0,
+      jobs: new Set(),
+    },
+    sockets: { ops: new Set(), control: new Set() },
+    participants: new Map((record.participants || []).map((p) => [p.id, p])),
+    inputs: new Map(
+      (record.inputs || []).map(([eventId, list]) => [eventId, new Map(list.map((input) => [input.participantId, input]))])
+    ),
+    scoreAgg: record.scoreAgg || { mean: 0, max: 0, activeCount: 0 },
+    teamAgg: [],
+    clockSync: new Map(), // participantId -> { offsetMs, rttMs, samples }, re-measured after a restart
+    logs: Array.isArray(record.logs) ? record.logs : [],
+    lastActivityAt: record.lastActivityAt ?? record.createdAt ?? Date.now(),
+  };
+  if (record.dashboard) session.dashboard = record.dashboard;
+  if (record.finalized) session._finalized = true;
+  return session;
+}
+
+/**
+ * Session jobs run at a point on the session clock (ms since start), not after a wall-clock delay,
+ * so pausing, seeking or restarting the server only has to re-arm them.
+ */
+function armJob(session, job) {
+  if (job.handle) clearTimeout(job.handle);
+  job.handle = null;
+  if (session.timer.pausedAt) return;
+  job.handle = setTimeout(() => {
+    session.timer.jobs.delete(job);
+    job.fn();
+  }, Math.max(0, job.atMs - getSessionMs(session)));
+}
+
+function scheduleAt(session, atMs, fn) {
+  const job = { atMs, fn, handle: null };
+  session.timer.jobs.add(job);
+  armJob(session, job);
+  return job;
+}
+
+function suspendJobs(session) {
+  for (const job of session.timer.jobs) {
+    if (job.handle) clearTimeout(job.handle);
+    job.handle = null;
+  }
+}
+
+function rearmJobs(session) {
+  for (const job of session.timer.jobs) armJob(session, job);
+}
+
+function clearSessionTimers(session) {
+  cancelAutoStart(session);
+  suspendJobs(session);
+  session.timer.jobs.clear();
+  if (session.timer.intervalId) {
+    clearInterval(session.timer.intervalId);
+    session.timer.intervalId = null;
+  }
+}
+
+function broadcastTick(session) {
+  const t = getSessionT(session);
+  const paused = Boolean(session.timer.pausedAt);
+  bcast(session.sockets.ops, { type: "tick", t, paused, score_agg: session.scoreAgg, team_agg: session.teamAgg });
+  bcast(session.sockets.control, { type: "tick", t, paused });
+}
+
+function startClock(session) {
+  if (session.timer.intervalId) return;
+  session.timer.intervalId = setInterval(() => {
+    broadcastTick(session);
+    // open events as we pass them
+    openEventsIfNeeded(session, getSessionT(session));
+  }, TICK_MS);
+}
+
+/** Start the clock (no-op if already running); shared by POST /start and auto-start */
+function startSession(session, source) {
+  if (session.startedAt) return false;
+
+  session.startedAt = Date.now();
+  cancelAutoStart(session);
+  if (session.teams) {
+    for (const p of session.participants.values()) assignTeam(session, p);
+    recomputeAgg(session);
+  }
+  session.timer.pausedAt = null;
+  session.timer.shiftMs = 0;
+  // clear prev flags in case of reuse
+  for (const ev of session.scenario.events) {
+    delete ev._opened;
+    delete ev._closed;
+    delete ev._skipped;
+  }
+
+  startClock(session);
+  sessionLog(
+    session,
+    "SESSION",
+    `Started at ${new Date(session.startedAt).toLocaleTimeString()} (${session.scenarioId}, ${source})`,
+    "system"
+  );
+  broadcastPhase(session);
+  broadcastRoster(session);
+  return true;
+}
+
+/**
+ * Auto-start rules for unattended runs, from scenario.meta.autoStart or the create body:
+ *   { minParticipants?, lobbyCountdownSec?, at? }
+ * Once minParticipants (default 1) controllers are connected the lobby counts down lobbyCountdownSec
+ * (or starts straight away); `at` (ISO string or ms epoch) starts at that wall-clock time.
+ * Whichever deadline comes first wins; an `at` already in the past is ignored.
+ */
+function normalizeAutoStart(raw) {
+  if (raw == null || raw === false) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) throw new Error("autoStart must be an object");
+  const rule = {};
+  if (raw.minParticipants != null) {
+    const n = Number(raw.minParticipants);
+    if (!Number.isInteger(n) || n < 1) throw new Error("autoStart.minParticipants must be a positive integer");
+    rule.minParticipants = n;
+  }
+  if (raw.lobbyCountdownSec != null) {
+    const sec = Number(raw.lobbyCountdownSec);
+    if (!Number.isFinite(sec) || sec < 0) throw new Error("autoStart.lobbyCountdownSec must be a number >= 0");
+    rule.lobbyCountdownSec = sec;
+  }
+  if (raw.at != null) {
+    const at = typeof raw.at === "number" ? raw.at : Date.parse(raw.at);
+    if (!Number.isFinite(at)) throw new Error("autoStart.at must be an ISO date or ms epoch");
+    rule.at = at;
+  }
+  return Object.keys(rule).length ? rule : null;
+}
+
+function evaluateAutoStart(session) {
+  const rule = session.autoStart;
+  if (!rule || session.startedAt) return cancelAutoStart(session);
+
+  const now = Date.now();
+  const candidates = [];
+  if (rule.at && rule.at > now) candidates.push({ deadline: rule.at, reason: "schedule" });
+  if (rule.minParticipants || rule.lobbyCountdownSec != null) {
+    const needed = rule.minParticipants || 1;
+    const connected = connectedParticipantIds(session).size;
+    if (connected >= needed) {
+      // the countdown runs from the moment the room first filled, not from each re-evaluation
+      session.lobbyCountdownUntil ??= now + (rule.lobbyCountdownSec || 0) * 1000;
+      candidates.push({ deadline: session.lobbyCountdownUntil, reason: "lobby", detail: `${connected}/${needed} connected` });
+    } else {
+      session.lobbyCountdownUntil = null;
+    }
+  }
+  const next = candidates.sort((a, b) => a.deadline - b.deadline)[0];
+  if (!next) return cancelAutoStart(session);
+
+  const pending = session.autoStartTimer;
+  if (pending && pending.deadline === next.deadline && pending.reason === next.reason) return;
+  if (pending) clearTimeout(pending.handle);
+  session.autoStartTimer = {
+    deadline: next.deadline,
+    reason: next.reason,
+    handle: setTimeout(() => {
+      session.autoStartTimer = null;
+      if (Date.now() < next.deadline) return evaluateAutoStart(session);
+      startSession(session, `auto-start: ${next.reason}`);
+    }, Math.min(MAX_TIMER_MS, Math.max(0, next.deadline - now))),
+  };
+  sessionLog(
+    session,
+    "SESSION",
+    `Auto-start in ${Math.ceil((next.deadline - now) / 1000)}s (${next.detail || `scheduled ${new Date(next.deadline).toLocaleString()}`})`,
+    "system"
+  );
+  broadcastAutoStart(session);
+}
+
+function cancelAutoStart(session) {
+  session.lobbyCountdownUntil = null;
+  const pending = session.autoStartTimer;
+  if (!pending) return;
+  clearTimeout(pending.handle);
+  session.autoStartTimer = null;
+  if (!session.startedAt) sessionLog(session, "SESSION", "Auto-start countdown cancelled", "system");
+  broadcastAutoStart(session);
+}
+
+function autoStartMessage(session) {
+  const pending = session.autoStartTimer;
+  return pending
+    ? { type: "autostart", reason: pending.reason, startsAt: pending.deadline, inMs: Math.max(0, pending.deadline - Date.now()) }
+    : { type: "autostart", inMs: null };
+}
+
+function broadcastAutoStart(session) {
+  const msg = autoStartMessage(session);
+  bcast(session.sockets.ops, msg);
+  bcast(session.sockets.control, msg);
+}
+
+/** Persistence (see store adapters at the top) */
+function serializeSession(session) {
+  return {
+    id: session.id,
+    scenarioId: session.scenarioId,
+    scenario: session.scenario,
+    createdAt: session.createdAt,
+    startedAt: session.startedAt,
+    joinCode: session.joinCode,
+    facilitatorToken: session.facilitatorToken,
+    tokenSecret: session.tokenSecret,
+    autoStart: session.autoStart,
+    teams: session.teams,
+    clock: { pausedAt: session.timer.pausedAt, shiftMs: session.timer.shiftMs },
+    finalized: Boolean(session._finalized),
+    participants: [...session.participants.values()],
+    inputs: [...session.inputs].map(([eventId, perEvent]) => [eventId, [...perEvent.values()]]),
+    scoreAgg: session.scoreAgg,
+    dashboard: session.dashboard || null,
+    logs: session.logs,
+    lastActivityAt: session.lastActivityAt,
+  };
+}
+
+function writeSession(session) {
+  try {
+    store.save(serializeSession(session));
+  } catch (err) {
+    console.error(`[STORE] failed to persist session ${session.id}: ${err.message}`);
+  }
+}
+
+function persistSession(session) {
+  if (session._persistTimer) return;
+  session._persistTimer = setTimeout(() => {
+    session._persistTimer = null;
+    writeSession(session);
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+function flushSessions() {
+  for (const session of sessions.values()) {
+    if (!session._persistTimer) continue;
+    clearTimeout(session._persistTimer);
+    session._persistTimer = null;
+    writeSession(session);
+  }
+}
+
+/** Expiry / garbage collection */
+function sessionTtlSec(session) {
+  if (session._finalized) return SESSION_FINISHED_TTL_SEC;
+  if (session.startedAt) return SESSION_IDLE_TTL_SEC;
+  return SESSION_UNSTARTED_TTL_SEC;
+}
+
+function expireSession(session, reason) {
+  sessionLog(session, "SESSION", `Expired (${reason}); closing sockets and removing`, "system");
+  clearSessionTimers(session);
+  if (session._persistTimer) {
+    clearTimeout(session._persistTimer);
+    session._persistTimer = null;
+  }
+  const notice = JSON.stringify({ type: "session_expired", sessionId: session.id, reason });
+  for (const ws of [...session.sockets.ops, ...session.sockets.control]) {
+    try {
+      if (ws.readyState === ws.OPEN) ws.send(notice);
+      ws.close();
+    } catch {}
+  }
+  session.sockets.ops.clear();
+  session.sockets.control.clear();
+  sessions.delete(session.id);
+  try {
+    store.remove(session.id);
+  } catch (err) {
+    console.error(`[STORE] failed to remove session ${session.id}: ${err.message}`);
+  }
+}
+
+function sweepSessions() {
+  const now = Date.now();
+  for (const session of [...sessions.values()]) {
+    const ttlSec = sessionTtlSec(session);
+    if (!(ttlSec > 0)) continue;
+    const idleSec = (now - (session.lastActivityAt ?? session.createdAt)) / 1000;
+    if (idleSec < ttlSec) continue;
+    if (!session.startedAt && session.autoStart?.at > now) continue; // scheduled run still ahead
+    const phase = session._finalized ? "finished" : session.startedAt ? "idle" : "never started";
+    expireSession(session, `${phase} for ${Math.round(idleSec / 60)}m`);
+  }
+}
+
+function restoreSessions() {
+  let records = [];
+  try {
+    records = store.loadAll();
+  } catch (err) {
+    console.error(`[STORE] failed to load sessions: ${err.message}`);
+  }
+  for (const record of records) {
+    if (!record?.id || !record.scenario) continue;
+    const session = buildSession(record);
+    sessions.set(session.id, session);
+    recomputeAgg(session);
+    // every controller dropped with the old process; they count as offline until they reconnect
+    for (const p of session.participants.values()) p.disconnectedAtMs ??= getSessionMs(session);
+    if (session.startedAt && !session._finalized) {
+      // re-arm the clock and any open windows relative to the original startedAt
+      startClock(session);
+      for (const ev of session.scenario.events) {
+        if (ev._opened && !ev._closed) armEventTimers(session, ev, { restoring: true });
+      }
+      if (session.scenario.events.length && session.scenario.events.every((e) => e._closed)) {
+        scheduleFinalize(session);
+      }
+    }
+    sessionLog(session, "SESSION", `Restored from ${store.name} store (t=${getSessionT(session)}s)`, "system");
+    evaluateAutoStart(session);
+  }
+}
+
+function sessionPhase(session) {
+  if (session._finalized) return "finalized";
+  return session.startedAt ? "running" : "lobby";
+}
+
+function sessionSummary(session) {
+  return {
+    id: session.id,
+    scenarioId: session.scenarioId,
+    title: session.scenario?.meta?.title || session.scenarioId,
+    createdAt: session.createdAt,
+    startedAt: session.startedAt,
+    phase: sessionPhase(session),
+    paused: Boolean(session.timer.pausedAt),
+    autoStartAt: session.autoStartTimer?.deadline ?? null,
+    participants: session.participants.size,
+    sockets: { ops: session.sockets.ops.size, control: session.sockets.control.size },
+  };
+}
+
+/** Lobby roster for ops screens: who joined, who is still connected, who locked a codename or is ready */
+function connectedParticipantIds(session) {
+  const connected = new Set();
+  for (const ws of session.sockets.control) {
+    // a reset without keepRoster leaves sockets tagged with seats that no longer exist until they re-join
+    if (ws._pid && ws.readyState === ws.OPEN && session.participants.has(ws._pid)) connected.add(ws._pid);
+  }
+  return connected;
+}
+
+function rosterSnapshot(session) {
+  const connected = connectedParticipantIds(session);
+  return [...session.participants.values()].map((p) => ({
+    participantId: p.id,
+    codename: p.codename,
+    connected: connected.has(p.id),
+    codenameLocked: Boolean(p.codenameLocked),
+    ready: Boolean(p.ready),
+    team: p.team || null,
+  }));
+}
+
+function broadcastRoster(session) {
+  bcast(session.sockets.ops, { type: "roster", phase: sessionPhase(session), participants: rosterSnapshot(session) });
+}
+
+/** Tell controllers when the session leaves (or returns to) the lobby */
+function broadcastPhase(session) {
+  bcast(session.sockets.control, { type: "phase", phase: sessionPhase(session) });
 }
 
 function publicEvent(ev) {
-  // control clients don’t need internal flags
-  const { _opened, _closed, ...rest } = ev;
+  // control clients don’t need internal flags or the scoring table
+  const { _opened, _closed, _branchOf, _branchTaken, actionScores, scoring, correctActions, branches, dashboardOnOutcome, ...rest } = ev;
   if ((!Array.isArray(rest.actions) || rest.actions.length === 0) &&
       Array.isArray(rest.allowedActions) && rest.allowedActions.length) {
     rest.actions = rest.allowedActions.slice();
   }
+  if ((!Array.isArray(rest.actions) || rest.actions.length === 0) && actionScores) {
+    rest.actions = Object.keys(actionScores);
+  }
   return rest;
 }
 
@@ -583,70 +1646,263 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
+/** Scenario catalogue for the ops "new session" picker */
+app.get("/api/scenarios", (req, res) => {
+  try {
+    res.json(listScenarios());
+  } catch (err) {
+    res.status(500).json({ error: "SCENARIOS_UNAVAILABLE", message: err.message });
+  }
+});
+
 /** Create session */
 app.post("/api/session", (req, res) => {
   const scenarioId = (req.body?.scenarioId || "sector-c-ops-01").toString();
   let scenario;
   try { scenario = loadScenario(scenarioId); }
-  catch {
+  catch (err) {
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ error: "INVALID_SCENARIO", errors: [{ path: "/", message: err.message }] });
+    }
     return res.status(400).json({ error: "SCENARIO_NOT_FOUND" });
   }
+  const problems = validateScenario(scenario);
+  if (problems.length) return res.status(400).json({ error: "INVALID_SCENARIO", errors: problems });
+
+  // the create body can override (or with autoStart:false disable) the scenario's own rules
+  let autoStart;
+  try {
+    autoStart = normalizeAutoStart(req.body && "autoStart" in req.body ? req.body.autoStart : scenario.meta?.autoStart);
+  } catch (err) {
+    return res.status(400).json({ error: "INVALID_AUTOSTART", message: err.message });
+  }
+  let teams;
+  try {
+    teams = normalizeTeams(req.body && "teams" in req.body ? req.body.teams : scenario.meta?.teams);
+  } catch (err) {
+    return res.status(400).json({ error: "INVALID_TEAMS", message: err.message });
+  }
 
   const id = nanoid(6).toUpperCase();
-  const session = {
-    id,
-    scenarioId,
-    scenario,
-    createdAt: Date.now(),
-    startedAt: null,
-    timer: { intervalId: null },
-    sockets: { ops: new Set(), control: new Set() },
-    participants: new Map(),
-    inputs: new Map(),
-    scoreAgg: { mean: 0, max: 0, activeCount: 0 },
-    logs: [],
-  };
+  const session = buildSession({ id, scenarioId, scenario, createdAt: Date.now(), autoStart, teams });
+  recomputeAgg(session);
   sessions.set(id, session);
   if (scenario.dashboard?.initial) {
     applyDashboardPatch(session, scenario.dashboard.initial, { broadcast: false });
   }
   sessionLog(session, "SESSION", `Created for scenario '${scenarioId}'`, "system");
-  sessionLog(session, "SESSION", `OPS URL: http://localhost:5173/?mode=assessment&session=${id}#/ops`, "system");
-  res.json({ sessionId: id });
+  // the facilitator key only goes back in the response: logs are printed and persisted with the session
+  sessionLog(
+    session,
+    "SESSION",
+    `OPS URL: http://localhost:5173/?mode=assessment&session=${id}#/ops (append &key=<facilitatorToken> from the create response)`,
+    "system"
+  );
+  sessionLog(session, "SESSION", `Join code: ${session.joinCode}`, "system");
+  evaluateAutoStart(session);
+  res.json({ sessionId: id, joinCode: session.joinCode, facilitatorToken: session.facilitatorToken, autoStart, teams });
+});
+
+/** Rotate the join code (participants who already joined keep their seat) */
+app.post("/api/session/:id/join-code", requireFacilitator, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  const previous = session.joinCode;
+  do {
+    session.joinCode = generateJoinCode();
+  } while (session.joinCode === previous);
+  bcast(session.sockets.ops, { type: "join_code", joinCode: session.joinCode });
+  sessionLog(session, "SESSION", `Join code rotated: ${session.joinCode}`, "system");
+  res.json({ ok: true, joinCode: session.joinCode });
+});
+
+/**
+ * Session index (admin / ops session picker), newest first. The master token lists every session;
+ * a per-session key (what the ops links carry) lists just the session it opens.
+ */
+app.get("/api/sessions", (req, res) => {
+  const token = requestToken(req);
+  if (!token) return res.status(401).json({ error: "FACILITATOR_TOKEN_REQUIRED" });
+  const master = isFacilitatorToken(token, null);
+  const visible = [...sessions.values()].filter((session) => master || tokensEqual(token, session.facilitatorToken));
+  if (!master && !visible.length) return res.status(403).json({ error: "FACILITATOR_TOKEN_INVALID" });
+  const rows = visible
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(sessionSummary);
+  res.json(rows);
 });
 
 /** Start session clock */
-app.post("/api/session/:id/start", (req, res) => {
+app.post("/api/session/:id/start", requireFacilitator, (req, res) => {
   const session = sessions.get(req.params.id);
   if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
-  if (session.startedAt) return res.json({ ok: true, t: getSessionT(session) });
+  if (!startSession(session, "facilitator")) return res.json({ ok: true, t: getSessionT(session) });
+  res.json({ ok: true, startedAt: session.startedAt });
+});
 
-  session.startedAt = Date.now();
-  // clear prev flags in case of reuse
-  for (const ev of session.scenario.events) {
-    delete ev._opened;
-    delete ev._closed;
+/**
+ * Reset a session back to its lobby so the same ops screens can rerun the scenario.
+ * Body: { keepRoster?: boolean } keeps participants (scores zeroed) instead of clearing them.
+ */
+app.post("/api/session/:id/reset", requireFacilitator, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  const keepRoster = req.body?.keepRoster === true;
+
+  // reload the scenario so dev-injected events and open/close flags are dropped; the file may have
+  // been edited since create, so it has to pass the same checks before it replaces the running one
+  let reloaded = null;
+  try {
+    reloaded = loadScenario(session.scenarioId);
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ error: "INVALID_SCENARIO", errors: [{ path: "/", message: err.message }] });
+    }
+  }
+  const problems = reloaded ? validateScenario(reloaded) : [];
+  if (problems.length) return res.status(400).json({ error: "INVALID_SCENARIO", errors: problems });
+
+  clearSessionTimers(session);
+  session.startedAt = null;
+  session.timer.pausedAt = null;
+  session.timer.shiftMs = 0;
+  delete session._finalized;
+
+  if (reloaded) {
+    session.scenario = reloaded;
+  } else {
+    // the file is gone: rewind the copy we have
+    session.scenario.events = session.scenario.events.filter((ev) => !ev._branchOf);
+    for (const ev of session.scenario.events) {
+      delete ev._opened;
+      delete ev._closed;
+      delete ev._skipped;
+      delete ev._branchTaken;
+    }
   }
 
-  session.timer.intervalId = setInterval(() => {
-    const tSec = getSessionT(session);
-    // broadcast tick
-    bcast(session.sockets.ops, { type: "tick", t: tSec, score_agg: session.scoreAgg });
-    bcast(session.sockets.control, { type: "tick", t: tSec });
-    // open events as we pass them
-    openEventsIfNeeded(session, tSec);
-  }, TICK_MS);
+  if (keepRoster) {
+    for (const p of session.participants.values()) {
+      p.score = 0;
+      p.dimensions = {};
+      p.streak = 0;
+      p.bestStreak = 0;
+      p.ready = false;
+      p.joinedAtMs = 0;
+      if (p.disconnectedAtMs != null) p.disconnectedAtMs = 0;
+    }
+  } else {
+    session.participants.clear();
+  }
+  session.inputs.clear();
+  recomputeAgg(session);
+
+  session.dashboard = null;
+  if (session.scenario.dashboard?.initial) {
+    applyDashboardPatch(session, session.scenario.dashboard.initial, { broadcast: false });
+  }
+
+  session.logs = [];
   sessionLog(
     session,
     "SESSION",
-    `Started at ${new Date(session.startedAt).toLocaleTimeString()} (${session.scenarioId})`,
+    `Reset to lobby (${keepRoster ? `kept ${session.participants.size} participants` : "roster cleared"})`,
     "system"
   );
-  res.json({ ok: true, startedAt: session.startedAt });
+
+  // send every client back to the lobby state
+  const reset = { type: "reset", keepRoster };
+  bcast(session.sockets.ops, reset);
+  bcast(session.sockets.control, reset);
+  broadcastTick(session);
+  const snapshot = dashboardSnapshot(session);
+  if (snapshot) bcast(session.sockets.ops, { type: "dashboard_state", state: snapshot });
+  bcast(session.sockets.ops, { type: "log_snapshot", entries: session.logs.slice(-200) });
+  broadcastRoster(session);
+  evaluateAutoStart(session);
+
+  res.json({ ok: true, keepRoster, participants: session.participants.size });
+});
+
+/** Pause the session clock (pending algo lines and auto-closes are held until resume) */
+app.post("/api/session/:id/pause", requireFacilitator, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  if (!session.startedAt) return res.status(409).json({ error: "SESSION_NOT_STARTED" });
+  if (session._finalized) return res.status(409).json({ error: "SESSION_FINALIZED" });
+  if (!session.timer.pausedAt) {
+    session.timer.pausedAt = Date.now();
+    suspendJobs(session);
+    broadcastTick(session);
+    sessionLog(session, "CLOCK", `Paused at t=${getSessionT(session)}s`, "system");
+  }
+  res.json({ ok: true, paused: true, t: getSessionT(session) });
+});
+
+/** Resume a paused session clock from where it stopped */
+app.post("/api/session/:id/resume", requireFacilitator, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  if (!session.startedAt) return res.status(409).json({ error: "SESSION_NOT_STARTED" });
+  if (session.timer.pausedAt) {
+    session.timer.shiftMs += Date.now() - session.timer.pausedAt;
+    session.timer.pausedAt = null;
+    rearmJobs(session);
+    broadcastTick(session);
+    sessionLog(session, "CLOCK", `Resumed at t=${getSessionT(session)}s`, "system");
+  }
+  res.json({ ok: true, paused: false, t: getSessionT(session) });
+});
+
+/**
+ * Seek the session clock to { t } seconds. Events whose whole window lies before the
+ * new position and never opened are skipped (no penalties); open windows are re-timed, and
+ * open events that now lie in the future are taken back and open again when the clock gets there.
+ */
+app.post("/api/session/:id/seek", requireFacilitator, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  if (!session.startedAt) return res.status(409).json({ error: "SESSION_NOT_STARTED" });
+  if (session._finalized) return res.status(409).json({ error: "SESSION_FINALIZED" });
+  const target = Number(req.body?.t);
+  if (!Number.isFinite(target) || target < 0) return res.status(400).json({ error: "INVALID_SEEK" });
+
+  const from = getSessionT(session);
+  const now = session.timer.pausedAt ?? Date.now();
+  session.timer.shiftMs = now - session.startedAt - target * 1000;
+
+  const skipped = [];
+  const rewound = [];
+  for (const ev of session.scenario.events) {
+    if (ev._opened && !ev._closed && ev.t > target) {
+      rewindEvent(session, ev);
+      rewound.push(ev.id);
+      continue;
+    }
+    if (ev._opened || eventCloseSec(ev) >= target) continue;
+    ev._opened = true;
+    ev._closed = true;
+    ev._skipped = true;
+    skipped.push(ev.id);
+  }
+  rearmJobs(session);
+  broadcastTick(session);
+  sessionLog(
+    session,
+    "CLOCK",
+    `Seek t=${from}s → t=${target}s${skipped.length ? ` (skipped ${skipped.join(", ")})` : ""}` +
+      `${rewound.length ? ` (reopening later: ${rewound.join(", ")})` : ""}`,
+    "system",
+    skipped.length || rewound.length ? { skipped, rewound } : undefined
+  );
+  if (skipped.length && session.scenario.events.every((e) => e._closed)) {
+    scheduleFinalize(session);
+  }
+  res.json({ ok: true, t: getSessionT(session), paused: Boolean(session.timer.pausedAt), skipped, rewound });
 });
 
-/** Get scenario (for client preloading hints/labels) */
-app.get("/api/session/:id/scenario", (req, res) => {
+/** Get scenario (for client preloading hints/labels; facilitator-only since it carries correct actions) */
+app.get("/api/session/:id/scenario", requireFacilitator, (req, res) => {
   const s = sessions.get(req.params.id);
   if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
   res.json(s.scenario);
@@ -657,30 +1913,54 @@ app.post("/api/session/:id/input", (req, res) => {
   const s = sessions.get(req.params.id);
   if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
 
-  const participantId = (req.body?.participantId || "").toString() || nanoid(10);
-  const codename = (req.body?.codename || `Unit ${String(Math.floor(Math.random()*10000)).padStart(4,"0")}`).toString();
   const eventId = (req.body?.eventId || "").toString();
-  const action = (req.body?.action ?? req.body?.choice ?? "").toString();
-
-  // upsert participant
-  const p = s.participants.get(participantId) || { id: participantId, codename, score: 0 };
-  p.codename = codename || p.codename;
-  s.participants.set(participantId, p);
 
   // event validity
   const ev = s.scenario.events.find(e => e.id === eventId);
   if (!ev) return res.status(400).json({ error: "EVENT_NOT_FOUND" });
+  if (isInformational(ev)) return res.status(409).json({ error: "EVENT_NOT_ACTIONABLE" });
+
+  // who is answering comes from the signed token handed out on hello, never from the body;
+  // participants are only created by the control hello
+  const token = req.body?.participantToken || req.get("x-participant-token");
+  if (!token) return res.status(401).json({ error: "PARTICIPANT_TOKEN_REQUIRED" });
+  const participantId = verifyParticipantToken(s, token);
+  if (!participantId) return res.status(403).json({ error: "PARTICIPANT_TOKEN_INVALID" });
+  const p = s.participants.get(participantId);
+  if (!p) return res.status(403).json({ error: "PARTICIPANT_UNKNOWN" });
+  if (!req.body?.joinCode) return res.status(401).json({ error: "JOIN_CODE_REQUIRED" });
+  if (!inputJoinCodeMatches(s, p, req.body.joinCode)) return res.status(403).json({ error: "JOIN_CODE_INVALID" });
+
+  // multi/sequence events take the whole answer at once as `actions: []`
+  let picks = [];
+  let action = (req.body?.action ?? req.body?.choice ?? "").toString();
+  if (COMPOUND_ANSWER_TYPES.has(ev.answerType)) {
+    const raw = req.body?.actions;
+    if (!Array.isArray(raw) || !raw.length || raw.some((a) => typeof a !== "string")) {
+      return res.status(400).json({ error: "INVALID_ANSWER" });
+    }
+    picks = ev.answerType === "multi" ? [...new Set(raw)] : raw;
+    action = answerLabel(ev, picks);
+  }
 
-  const nowSec = getSessionT(s);
-  if (nowSec < ev.t) return res.status(409).json({ error: "TOO_EARLY" });
+  const receivedMs = getSessionMs(s);
+  if (receivedMs < ev.t * 1000) return res.status(409).json({ error: "TOO_EARLY" });
+  const timing = compensateLatency(s, participantId, req.body?.clientTs);
+  const rawResponseMs = Math.round(receivedMs - ev.t * 1000);
+  const responseMs = Math.max(0, rawResponseMs - Math.round(timing.compensationMs));
+  const nowSec = ev.t + responseMs / 1000;
 
   // ignore if window closed
-  if (nowSec > ev.t + ev.responseWindowSec) {
+  if (ev._closed || nowSec > eventCloseSec(ev)) {
     const delta = ev.penalties?.late ?? -50;
     p.score += delta;
+    const perEvent = s.inputs.get(eventId) || new Map();
+    s.inputs.set(eventId, perEvent);
+    recordPenalty(perEvent, { participantId, eventId, action, reason: "late", delta, t: nowSec, responseMs, rawResponseMs });
+    updateStreak(p, "late");
     recomputeAgg(s);
     // personal feedback
-    bcastPersonal(s, participantId, { type:"feedback", eventId, delta, total:p.score, reason:"late" });
+    bcastPersonal(s, participantId, { type:"feedback", eventId, delta, total:p.score, reason:"late", streak: 0 });
     sessionLog(
       s,
       "INPUT",
@@ -691,9 +1971,40 @@ app.post("/api/session/:id/input", (req, res) => {
     return res.json({ ok: true, accepted: false, reason: "late" });
   }
 
-  // first input only per participant/event
+  const record = {
+    participantId, eventId, action, ...(picks.length ? { actions: picks } : {}), t: nowSec,
+    responseMs, rawResponseMs, compensationMs: rawResponseMs - responseMs, clockOffsetMs: timing.offsetMs, rttMs: timing.rttMs,
+  };
+  const policy = answerPolicy(ev);
   const perEvent = s.inputs.get(eventId) || new Map();
-  if (perEvent.has(participantId)) {
+  s.inputs.set(eventId, perEvent);
+  const previous = perEvent.get(participantId);
+
+  // revisable events hold the answer until close; each change counts against maxRevisions
+  if (policy.revisable && (!previous || previous.pending)) {
+    if (previous && previous.action === action) {
+      return res.json({ ok: true, accepted: true, pending: true, revisions: previous.revisions });
+    }
+    const revisions = previous ? previous.revisions + 1 : 0;
+    if (revisions > policy.maxRevisions) {
+      sessionLog(s, "INPUT", `${p.codename} out of revisions on ${eventId}`, "warn", { participantId, eventId, reason: "revision_limit" });
+      return res.json({ ok: true, accepted: false, reason: "revision_limit", action: previous.action });
+    }
+    perEvent.set(participantId, { ...record, pending: true, revisions });
+    const revisionsLeft = Number.isFinite(policy.maxRevisions) ? policy.maxRevisions - revisions : null;
+    bcastPersonal(s, participantId, { type: "answer_locked", eventId, action, revisions, revisionsLeft });
+    sessionLog(
+      s,
+      "INPUT",
+      `${p.codename} ${previous ? `revised ${previous.action} → ${action}` : `locked in ${action}`} on ${eventId}`,
+      "info",
+      { participantId, eventId, action, revisions, pending: true }
+    );
+    return res.json({ ok: true, accepted: true, pending: true, revisions, revisionsLeft });
+  }
+
+  // first input only per participant/event
+  if (previous) {
     sessionLog(
       s,
       "INPUT",
@@ -704,28 +2015,96 @@ app.post("/api/session/:id/input", (req, res) => {
     return res.json({ ok: true, accepted: false, reason: "duplicate" });
   }
 
-  const { delta, reason, responseTime } = computeScore({ event: ev, action, nowSec });
-  perEvent.set(participantId, { participantId, eventId, action, t: nowSec, delta, reason });
-  s.inputs.set(eventId, perEvent);
+  perEvent.set(participantId, record);
+  scoreInput(s, ev, p, record);
+  res.json({ ok: true, accepted: true });
+});
+
+/** Scores a recorded input in place and tells the participant (on tap, or at close for held answers) */
+function scoreInput(s, ev, p, input) {
+  const { participantId, eventId, action, actions: picks = [], responseMs, rawResponseMs } = input;
+  const scored = computeScore({ scenario: s.scenario, event: ev, action, actions: picks, nowSec: input.t });
+  const { reason, responseTime } = scored;
+  updateStreak(p, reason);
+  const multiplier = scored.delta > 0 ? streakMultiplier(s.scenario, p.streak) : 1;
+  const delta = Math.round(scored.delta * multiplier);
+  delete input.pending;
+  Object.assign(input, { delta, reason, multiplier });
 
   p.score += delta;
+  const dimensions = dimensionDeltas(ev, picks.length ? picks : [action]);
+  if (dimensions) {
+    p.dimensions = { ...(p.dimensions || {}) };
+    for (const [dimension, value] of Object.entries(dimensions)) p.dimensions[dimension] = (p.dimensions[dimension] || 0) + value;
+    input.dimensions = dimensions;
+  }
   recomputeAgg(s);
 
   // personal feedback to just this participant
-  bcastPersonal(s, participantId, { type: "feedback", eventId, delta, total: p.score, reason, responseTime });
+  bcastPersonal(s, participantId, {
+    type: "feedback", eventId, action, delta, total: p.score, reason, responseTime, streak: p.streak, multiplier,
+    ...(dimensions ? { dimensions, dimensionTotals: p.dimensions } : {}),
+  });
 
   // OPS aggregate trend
-  bcast(s.sockets.ops, { type: "score_agg", ...s.scoreAgg });
+  bcast(s.sockets.ops, { type: "score_agg", ...s.scoreAgg, team_agg: s.teamAgg });
 
   sessionLog(
     s,
     "INPUT",
-    `${p.codename} → ${action} on ${eventId} :: new total=${p.score}`,
+    `${p.codename} → ${action} on ${eventId} (${reason}, Δ ${delta}${multiplier !== 1 ? ` ×${multiplier} streak ${p.streak}` : ""}, ` +
+      `rt ${(responseMs / 1000).toFixed(2)}s${responseMs !== rawResponseMs ? ` raw ${(rawResponseMs / 1000).toFixed(2)}s` : ""}` +
+      `${input.revisions ? `, ${input.revisions} revision${input.revisions === 1 ? "" : "s"}` : ""}) :: new total=${p.score}`,
     "info",
-    { participantId, eventId, action, reason, delta }
+    {
+      participantId, eventId, action, reason, delta, streak: p.streak, ...(dimensions ? { dimensions } : {}),
+      responseMs, rawResponseMs, compensationMs: input.compensationMs, clockOffsetMs: input.clockOffsetMs, rttMs: input.rttMs,
+      ...(input.revisions != null ? { revisions: input.revisions } : {}),
+    }
   );
-  res.json({ ok: true, accepted: true });
-});
+}
+
+/**
+ * Clock sync: the server pings each controller ({ type:"ping", serverTs }) and the controller answers
+ * { type:"pong", serverTs, clientTs }. Assuming a symmetric path, the client clock read clientTs at
+ * serverTs + rtt/2, which gives its offset from ours; the lowest-RTT recent sample is the most trustworthy.
+ */
+function startClockSync(ws) {
+  if (ws._clockSyncTimer) return;
+  const ping = () => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: "ping", serverTs: Date.now() }));
+  };
+  for (let i = 0; i < CLOCK_SYNC_BURST; i++) setTimeout(ping, i * 200);
+  ws._clockSyncTimer = setInterval(ping, CLOCK_SYNC_INTERVAL_MS);
+}
+
+function recordClockSample(session, participantId, serverTs, clientTs) {
+  const rttMs = Date.now() - serverTs;
+  if (!Number.isFinite(rttMs) || !Number.isFinite(clientTs) || rttMs < 0 || rttMs > CLOCK_SYNC_INTERVAL_MS) return;
+  const prev = session.clockSync.get(participantId);
+  const samples = [...(prev?.samples || []), { rttMs, offsetMs: clientTs - (serverTs + rttMs / 2) }].slice(-CLOCK_SYNC_SAMPLES);
+  const best = samples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+  session.clockSync.set(participantId, { offsetMs: Math.round(best.offsetMs), rttMs: best.rttMs, samples });
+}
+
+/**
+ * How long an input spent in flight: server receive time minus the tap time (the body's clientTs,
+ * mapped onto the server clock by the participant's offset). Without a sync sample or a clientTs
+ * nothing is compensated; otherwise the credit is clamped to [0, LATENCY_COMP_MAX_MS].
+ */
+function compensateLatency(session, participantId, clientTs) {
+  const sync = session.clockSync.get(participantId);
+  const tappedAt = Number(clientTs);
+  if (!sync || clientTs == null || !Number.isFinite(tappedAt)) {
+    return { compensationMs: 0, offsetMs: sync?.offsetMs ?? null, rttMs: sync?.rttMs ?? null };
+  }
+  const transitMs = Date.now() - (tappedAt - sync.offsetMs);
+  return {
+    compensationMs: Math.min(LATENCY_COMP_MAX_MS, Math.max(0, transitMs)),
+    offsetMs: sync.offsetMs,
+    rttMs: sync.rttMs,
+  };
+}
 
 function bcastPersonal(session, participantId, msg) {
   for (const ws of session.sockets.control) {
@@ -740,15 +2119,39 @@ function bcastPersonal(session, participantId, msg) {
 app.get("/api/session/:id/leaderboard", (req, res) => {
   const s = sessions.get(req.params.id);
   if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
-  const rows = [...s.participants.values()]
-    .map(p => ({ participantId: p.id, codename: p.codename, score: p.score || 0 }))
-    .sort((a,b)=>b.score-a.score)
-    .map((r,i)=>({ ...r, rank: i+1 }));
-  res.json(rows);
+  const rankBy = (req.query.rankBy || "score").toString();
+  const order = (req.query.order || "desc").toString();
+  if (rankBy !== "score" && !scenarioDimensions(s.scenario).includes(rankBy)) {
+    return res.status(400).json({ error: "INVALID_RANK_BY", allowed: ["score", ...scenarioDimensions(s.scenario)] });
+  }
+  if (order !== "asc" && order !== "desc") return res.status(400).json({ error: "INVALID_ORDER" });
+  res.json(leaderboardRows(s, { rankBy, order }));
+});
+
+/** Per-participant score breakdowns ("why did I lose points?"), facilitator only */
+app.get("/api/session/:id/participants", requireFacilitator, (req, res) => {
+  const s = sessions.get(req.params.id);
+  if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  res.json([...s.participants.values()].map((p) => participantBreakdown(s, p)));
+});
+
+app.get("/api/session/:id/participants/:pid", requireFacilitator, (req, res) => {
+  const s = sessions.get(req.params.id);
+  if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  const p = s.participants.get(req.params.pid);
+  if (!p) return res.status(404).json({ error: "PARTICIPANT_NOT_FOUND" });
+  res.json(participantBreakdown(s, p));
+});
+
+/** Squad standings (empty unless the session runs in team mode) */
+app.get("/api/session/:id/leaderboard/teams", (req, res) => {
+  const s = sessions.get(req.params.id);
+  if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
+  res.json(teamLeaderboardRows(s));
 });
 
 /** Dashboard patch (allow controllers/admin to push updates) */
-app.post("/api/session/:id/dashboard", (req, res) => {
+app.post("/api/session/:id/dashboard", requireFacilitator, (req, res) => {
   const session = sessions.get(req.params.id);
   if (!session) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
   const patch = req.body?.patch ?? req.body;
@@ -766,7 +2169,7 @@ app.post("/api/session/:id/dashboard", (req, res) => {
 });
 
 /** Dev: open a synthetic event immediately (for testing controller -> /input) */
-app.post("/api/session/:id/dev/open", (req, res) => {
+app.post("/api/session/:id/dev/open", requireFacilitator, (req, res) => {
   const s = sessions.get(req.params.id);
   if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
   if (!s.startedAt) return res.status(409).json({ error: "SESSION_NOT_STARTED" });
@@ -791,6 +2194,17 @@ app.post("/api/session/:id/dev/open", (req, res) => {
     banner: `DEV: ${correctAction} at ${location}`,
     algoCopy: [{ tOffset: 0, text: `EXECUTE: ${correctAction} at ${location}.` }]
   };
+  if (COMPOUND_ANSWER_TYPES.has(req.body?.answerType)) {
+    ev.answerType = req.body.answerType;
+    ev.correctActions = Array.isArray(req.body.correctActions) && req.body.correctActions.length
+      ? req.body.correctActions.map(String)
+      : actions.slice(0, 2);
+    ev.partialCredit = Boolean(req.body.partialCredit);
+  }
+  if (ANSWER_POLICIES.includes(req.body?.answerPolicy)) {
+    ev.answerPolicy = req.body.answerPolicy;
+    if (ev.answerPolicy === "limited-revisions") ev.maxRevisions = Math.max(0, Math.floor(Number(req.body.maxRevisions ?? 1)) || 0);
+  }
 
   // add to scenario and trigger open on next pass
   s.scenario.events.push(ev);
@@ -808,7 +2222,7 @@ app.post("/api/session/:id/dev/open", (req, res) => {
 });
 
 /** Dev: push an Algorithm line immediately */
-app.post("/api/session/:id/dev/algo", (req, res) => {
+app.post("/api/session/:id/dev/algo", requireFacilitator, (req, res) => {
   const s = sessions.get(req.params.id);
   if (!s) return res.status(404).json({ error: "SESSION_NOT_FOUND" });
   const text = (req.body?.text || "EXECUTE: Maintain order.").toString();
@@ -824,7 +2238,7 @@ const wss = new WebSocketServer({ server });
 
 wss.on("connection", (ws) => {
   // Each client must send a hello:
-  // { type:"hello", role:"ops"|"control", sessionId:"...", participantId?:"...", codename?:"..." }
+  // { type:"hello", role:"ops"|"control", sessionId:"...", joinCode?:"...", participantToken?:"...", codename?:"..." }
   ws.on("message", (buf) => {
     let msg;
     try { msg = JSON.parse(buf.toString()); } catch { return; }
@@ -848,14 +2262,22 @@ wss.on("connection", (ws) => {
       // console.log(`[WS] bound to session ${session.id}`);
 
       if (role === "ops") {
+        // elevated role: ops screens see correct actions, join codes and the session log
+        if (!isFacilitatorToken(msg.facilitatorToken, session)) {
+          try { ws.send(JSON.stringify({ type:"error", error:"FACILITATOR_TOKEN_INVALID" })); } catch {}
+          ws.close(); return;
+        }
         ws._role = "ops";
         ws._sid = session.id;
         session.sockets.ops.add(ws);
+        session.lastActivityAt = Date.now();
         // greet with current state
-        ws.send(JSON.stringify({ type:"hello_ack", role:"ops", sessionId:session.id }));
+        ws.send(JSON.stringify({ type:"hello_ack", role:"ops", sessionId:session.id, joinCode: session.joinCode }));
         // if started, send tick + any open events
         const t = getSessionT(session);
-        ws.send(JSON.stringify({ type:"tick", t, score_agg: session.scoreAgg }));
+        ws.send(JSON.stringify({
+          type:"tick", t, paused: Boolean(session.timer.pausedAt), score_agg: session.scoreAgg, team_agg: session.teamAgg,
+        }));
         for (const ev of session.scenario.events) {
           if (ev._opened && !ev._closed) {
             ws.send(JSON.stringify({ type:"event_open", event: ev }));
@@ -869,27 +2291,55 @@ wss.on("connection", (ws) => {
         if (history.length) {
           ws.send(JSON.stringify({ type: "log_snapshot", entries: history }));
         }
+        ws.send(JSON.stringify({ type: "roster", phase: sessionPhase(session), participants: rosterSnapshot(session) }));
+        if (session.autoStartTimer) ws.send(JSON.stringify(autoStartMessage(session)));
         return;
       }
 
       if (role === "control") {
-        // check join
+        // reconnects prove who they are with their participant token; a forged one is refused outright
+        const tokenPid = msg.participantToken ? verifyParticipantToken(session, msg.participantToken) : null;
+        if (msg.participantToken && !tokenPid) {
+          try { ws.send(JSON.stringify({ type:"error", error:"PARTICIPANT_TOKEN_INVALID" })); } catch {}
+          ws.close(); return;
+        }
+        // check join: newcomers need the current join code, known participants may reconnect
+        const knownParticipant = Boolean(tokenPid) && session.participants.has(tokenPid);
+        if (!knownParticipant && !joinCodeMatches(session, msg.joinCode)) {
+          try { ws.send(JSON.stringify({ type:"error", error:"JOIN_CODE_INVALID" })); } catch {}
+          ws.close(); return;
+        }
         ws._role = "control";
         ws._sid = session.id;
 
-        // upsert participant on hello (codename may be default)
-        const participantId = (msg.participantId || nanoid(10)).toString();
+        // upsert participant on hello (codename may be default); ids are always minted here
+        const participantId = tokenPid || nanoid(10);
         const codename = (msg.codename || `Unit ${String(Math.floor(Math.random()*10000)).padStart(4,"0")}`).toString();
         ws._pid = participantId;
 
         const wasExisting = session.participants.has(participantId);
-        const p = session.participants.get(participantId) || { id: participantId, codename, score: 0 };
+        const p = session.participants.get(participantId) || { id: participantId, codename, score: 0, joinedAtMs: getSessionMs(session) };
+        delete p.disconnectedAtMs;
+        if (joinCodeMatches(session, msg.joinCode) || !p.joinCode) p.joinCode = session.joinCode;
         p.codename = codename || p.codename;
+        if (msg.codenameLocked) p.codenameLocked = true;
         session.participants.set(participantId, p);
+        if (session.teams?.assign === "choice" && !session.startedAt && session.teams.names.includes(msg.team)) {
+          p.team = msg.team;
+        } else if (session.teams?.assign === "round-robin" || session.startedAt) {
+          assignTeam(session, p);
+        }
+        recomputeAgg(session);
 
         session.sockets.control.add(ws);
+        startClockSync(ws);
 
-        ws.send(JSON.stringify({ type:"hello_ack", role:"control", sessionId:session.id, participantId, codename }));
+        ws.send(JSON.stringify({
+          type:"hello_ack", role:"control", sessionId:session.id, participantId, codename,
+          participantToken: signParticipantToken(session, participantId), joinCode: p.joinCode,
+          phase: sessionPhase(session), ready: Boolean(p.ready),
+          team: p.team || null, teams: session.teams ? { names: session.teams.names, assign: session.teams.assign } : null,
+        }));
 
         sessionLog(
           session,
@@ -898,32 +2348,77 @@ wss.on("connection", (ws) => {
           "info",
           { participantId }
         );
+        broadcastRoster(session);
+        if (session.autoStartTimer) ws.send(JSON.stringify(autoStartMessage(session)));
+        evaluateAutoStart(session);
 
         // sync with clock + current open events
         const t = getSessionT(session);
-        ws.send(JSON.stringify({ type:"tick", t }));
+        ws.send(JSON.stringify({ type:"tick", t, paused: Boolean(session.timer.pausedAt) }));
         for (const ev of session.scenario.events) {
           if (ev._opened && !ev._closed) {
-            ws.send(JSON.stringify({ type:"event_open", event: publicEvent(ev) }));
+            ws.send(JSON.stringify(isInformational(ev) ? bulletinMessage(ev) : { type:"event_open", event: publicEvent(ev) }));
           }
         }
         return;
       }
 
-      // backwards-compat if your existing OPS sends "dashboard"
+      // backwards-compat if your existing OPS sends "dashboard" (master token only)
       if (msg.role === "dashboard") {
+        if (!isFacilitatorToken(msg.facilitatorToken, null)) {
+          try { ws.send(JSON.stringify({ type:"error", error:"FACILITATOR_TOKEN_INVALID" })); } catch {}
+          ws.close(); return;
+        }
         ws._role = "ops";
-        const session = [...sessions.values()][0]; // attach to first session if unspecified
+        // attach to the newest running session (else the newest lobby) if unspecified
+        const phaseRank = { running: 0, lobby: 1, finalized: 2 };
+        const session = [...sessions.values()].sort((a, b) =>
+          (phaseRank[sessionPhase(a)] - phaseRank[sessionPhase(b)]) || (b.createdAt - a.createdAt)
+        )[0];
         if (!session) return;
         ws._sid = session.id;
         session.sockets.ops.add(ws);
         ws.send(JSON.stringify({ type:"hello_ack", role:"ops", sessionId:session.id }));
         ws.send(JSON.stringify({ type:"tick", t:getSessionT(session), score_agg: session.scoreAgg }));
       }
+      return;
+    }
+
+    // clock-sync reply from a controller: { type:"pong", serverTs, clientTs }
+    if (msg.type === "pong" && ws._role === "control") {
+      const session = sessions.get(ws._sid);
+      if (session && ws._pid) recordClockSample(session, ws._pid, Number(msg.serverTs), Number(msg.clientTs));
+      return;
+    }
+
+    // squad pick from a joined controller in "choice" team mode: { type:"team", team }
+    if (msg.type === "team" && ws._role === "control") {
+      const session = sessions.get(ws._sid);
+      const p = session?.participants.get(ws._pid);
+      if (!p || session.startedAt || session.teams?.assign !== "choice") return;
+      if (!session.teams.names.includes(msg.team)) return;
+      p.team = msg.team;
+      recomputeAgg(session);
+      ws.send(JSON.stringify({ type:"team", team: p.team }));
+      sessionLog(session, "LOBBY", `${p.codename} joined squad ${p.team}`, "info", { participantId: p.id });
+      broadcastRoster(session);
+      return;
+    }
+
+    // lobby ready toggle from a joined controller: { type:"ready", ready:boolean }
+    if (msg.type === "ready" && ws._role === "control") {
+      const session = sessions.get(ws._sid);
+      const p = session?.participants.get(ws._pid);
+      if (!p || session.startedAt) return;
+      p.ready = Boolean(msg.ready);
+      ws.send(JSON.stringify({ type:"ready", ready: p.ready }));
+      sessionLog(session, "LOBBY", `${p.codename} is ${p.ready ? "ready" : "not ready"}`, "info", { participantId: p.id });
+      broadcastRoster(session);
     }
   });
 
   ws.on("close", () => {
+    clearInterval(ws._clockSyncTimer);
     const role = ws._role, sid = ws._sid;
     if (!role || !sid) return;
     const s = sessions.get(sid);
@@ -935,6 +2430,7 @@ wss.on("connection", (ws) => {
       s.sockets.control.delete(ws);
       const pid = ws._pid;
       const participant = pid ? s.participants.get(pid) : null;
+      if (participant && !connectedParticipantIds(s).has(pid)) participant.disconnectedAtMs = getSessionMs(s);
       const label = participant?.codename || pid || "Unknown Participant";
       sessionLog(
         s,
@@ -943,10 +2439,25 @@ wss.on("connection", (ws) => {
         "info",
         pid ? { participantId: pid } : undefined
       );
+      broadcastRoster(s);
+      evaluateAutoStart(s);
     }
   });
 });
 
+restoreSessions();
+setInterval(sweepSessions, SESSION_GC_INTERVAL_MS);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    flushSessions();
+    process.exit(0);
+  });
+}
+
 server.listen(PORT, () => {
-  console.log(`HCI server on http://0.0.0.0:${PORT}`);
+  console.log(`HCI server on http://0.0.0.0:${PORT} (session store: ${store.name}, ${sessions.size} restored)`);
+  if (!FACILITATOR_TOKEN_FROM_ENV) {
+    console.log(`Facilitator token for this run: ${FACILITATOR_TOKEN} (set FACILITATOR_TOKEN to pin it)`);
+  }
 });
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createSession, submitInput, waitFor } from "./helpers.mjs";
+
+const scenario = {
+  meta: { id: "branch-order", title: "Branch order", endBufferSec: 30 },
+  events: [
+    {
+      id: "a1", t: 1, title: "Riot", responseWindowSec: 1,
+      allowedActions: ["Go", "Hold"], correctAction: "Go",
+      dashboardClose: { socialHeadline: "close" },
+      branches: {
+        by: "majorityAction",
+        cases: [{ action: "Go", label: "good", dashboard: { socialHeadline: "branch-good" } }],
+        otherwise: { dashboard: { socialHeadline: "branch-none" } },
+      },
+    },
+  ],
+};
+
+test("the taken branch's dashboard patch wins over dashboardClose", async (t) => {
+  const server = await startServer({ "branch-order": scenario });
+  t.after(() => server.stop());
+  const session = await createSession(server, "branch-order", 1);
+  const ops = await server.connect({ role: "ops", sessionId: session.sessionId, facilitatorToken: session.facilitatorToken });
+
+  await server.api("POST", `/api/session/${session.sessionId}/start`, {});
+  const [player] = session.controls;
+  await waitFor(() => player.messages.find((m) => m.type === "event_open"));
+  const input = await submitInput(server, session, player, { eventId: "a1", action: "Go" });
+  assert.equal(input.status, 200);
+
+  const branch = await waitFor(() => ops.messages.find((m) => m.type === "branch"));
+  assert.equal(branch.branch, "good");
+  const headlines = ops.messages.filter((m) => m.type === "dashboard_patch" && "socialHeadline" in m.patch).map((m) => m.patch.socialHeadline);
+  assert.deepEqual(headlines, ["close", "branch-good"]);
+
+  const fresh = await server.connect({ role: "ops", sessionId: session.sessionId, facilitatorToken: session.facilitatorToken });
+  const state = await waitFor(() => fresh.messages.find((m) => m.type === "dashboard_state"));
+  assert.equal(state.state.socialHeadline, "branch-good");
+});
+
+const meanScenario = {
+  meta: { id: "branch-mean", title: "Branch on mean score", endBufferSec: 30 },
+  events: [
+    { id: "e1", t: 1, responseWindowSec: 1, allowedActions: ["Go", "Hold"], correctAction: "Go", pointsPossible: 100 },
+    {
+      id: "e2", t: 3, responseWindowSec: 1, allowedActions: ["Go", "Hold"], correctAction: "Go",
+      penalties: { wrong: -20 },
+      branches: { by: "meanScore", cases: [{ atLeast: 0, label: "held" }], otherwise: { label: "slipped" } },
+    },
+  ],
+};
+
+test("meanScore branches on this event's points, not the running total", async (t) => {
+  const server = await startServer({ "branch-mean": meanScenario });
+  t.after(() => server.stop());
+  const session = await createSession(server, "branch-mean", 1);
+  const ops = await server.connect({ role: "ops", sessionId: session.sessionId, facilitatorToken: session.facilitatorToken });
+  const [player] = session.controls;
+  const answer = async (eventId, action) => {
+    await waitFor(() => player.messages.find((m) => m.type === "event_open" && m.event.id === eventId));
+    await submitInput(server, session, player, { eventId, action });
+  };
+
+  await server.api("POST", `/api/session/${session.sessionId}/start`, {});
+  await answer("e1", "Go");
+  await answer("e2", "Hold");
+
+  const branch = await waitFor(() => ops.messages.find((m) => m.type === "branch"));
+  assert.equal(branch.value, -20);
+  assert.equal(branch.branch, "slipped");
+});
@@ -0,0 +1,123 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import url from "node:url";
+import WebSocket from "ws";
+
+const SERVER = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "..", "server.mjs");
+export const MASTER_TOKEN = "test-master-token";
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Boots server.mjs on a free port with an in-memory store and the given scenarios
+ * ({ [scenarioId]: json }) as its whole catalogue. Call stop() when done.
+ */
+export async function startServer(scenarios, env = {}) {
+  const scenariosDir = fs.mkdtempSync(path.join(os.tmpdir(), "dystopia-scenarios-"));
+  for (const [id, scenario] of Object.entries(scenarios)) {
+    fs.writeFileSync(path.join(scenariosDir, `${id}.json`), JSON.stringify(scenario));
+  }
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SESSION_STORE: "memory",
+      SCENARIOS_DIR: scenariosDir,
+      FACILITATOR_TOKEN: MASTER_TOKEN,
+      LATENCY_COMP_MAX_MS: "0",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not boot:\n${output}`)), 5000);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("HCI server on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => { output += chunk; });
+    child.once("exit", (code) => reject(new Error(`server exited (${code}):\n${output}`)));
+  });
+
+  const base = `http://localhost:${port}`;
+  const sockets = new Set();
+  return {
+    base,
+    scenariosDir,
+    wsUrl: `ws://localhost:${port}`,
+    output: () => output,
+    async api(method, route, body, token = MASTER_TOKEN) {
+      const res = await fetch(`${base}${route}`, {
+        method,
+        headers: { "content-type": "application/json", ...(token ? { authorization: `Bearer ${token}` } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    /** Opens a socket, sends hello and resolves once the reply of type `ackType` arrives */
+    async connect(hello, ackType = "hello_ack") {
+      const ws = new WebSocket(`ws://localhost:${port}`);
+      sockets.add(ws);
+      const messages = [];
+      ws.on("message", (data) => messages.push(JSON.parse(data.toString())));
+      await new Promise((resolve, reject) => { ws.once("open", resolve); ws.once("error", reject); });
+      ws.send(JSON.stringify({ type: "hello", ...hello }));
+      const ack = await waitFor(() => messages.find((m) => m.type === ackType));
+      return { ws, messages, ack };
+    },
+    async stop() {
+      for (const ws of sockets) ws.terminate();
+      child.kill();
+      await new Promise((resolve) => (child.exitCode !== null ? resolve() : child.once("exit", resolve)));
+      fs.rmSync(scenariosDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/** Polls until fn() returns something truthy */
+export async function waitFor(fn, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > until) throw new Error("timed out waiting for condition");
+    await sleep(25);
+  }
+}
+
+/** Creates a session for scenarioId and joins `players` controllers to it */
+export async function createSession(server, scenarioId, players = 0) {
+  const { status, body } = await server.api("POST", "/api/session", { scenarioId });
+  if (status !== 200) throw new Error(`create failed: ${status} ${JSON.stringify(body)}`);
+  const controls = [];
+  for (let i = 0; i < players; i++) {
+    controls.push(await server.connect({ role: "control", sessionId: body.sessionId, joinCode: body.joinCode }));
+  }
+  return { ...body, controls };
+}
+
+/** Posts a controller's answer the way the controller app does (its token plus the join code it was seated with) */
+export function submitInput(server, session, player, body) {
+  return server.api("POST", `/api/session/${session.sessionId}/input`, {
+    participantToken: player.ack.participantToken, joinCode: player.ack.joinCode, ...body,
+  });
+}
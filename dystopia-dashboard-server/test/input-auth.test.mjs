@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createSession, submitInput, waitFor } from "./helpers.mjs";
+
+const scenario = {
+  meta: { id: "input-auth", title: "Input auth", endBufferSec: 30 },
+  events: [{ id: "a1", t: 0, responseWindowSec: 20, allowedActions: ["Go", "Hold"], correctAction: "Go" }],
+};
+
+test("inputs must carry the session's join code", async (t) => {
+  const server = await startServer({ "input-auth": scenario });
+  t.after(() => server.stop());
+  const session = await createSession(server, "input-auth", 3);
+  const [first, second, third] = session.controls;
+  assert.equal(first.ack.joinCode, session.joinCode);
+
+  await server.api("POST", `/api/session/${session.sessionId}/start`, {});
+  await waitFor(() => first.messages.find((m) => m.type === "event_open"));
+
+  const missing = await submitInput(server, session, first, { eventId: "a1", action: "Go", joinCode: undefined });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, "JOIN_CODE_REQUIRED");
+  const wrong = await submitInput(server, session, first, { eventId: "a1", action: "Go", joinCode: "ZZZZZZ" });
+  assert.equal(wrong.status, 403);
+  assert.equal(wrong.body.error, "JOIN_CODE_INVALID");
+  const ok = await submitInput(server, session, first, { eventId: "a1", action: "Go" });
+  assert.equal(ok.status, 200);
+
+  // a rotation locks out newcomers, not the seats admitted under the old code
+  const rotated = await server.api("POST", `/api/session/${session.sessionId}/join-code`, {}, session.facilitatorToken);
+  const seated = await submitInput(server, session, second, { eventId: "a1", action: "Go" });
+  assert.equal(seated.status, 200);
+  const current = await submitInput(server, session, third, { eventId: "a1", action: "Go", joinCode: rotated.body.joinCode });
+  assert.equal(current.status, 200);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { startServer, createSession } from "./helpers.mjs";
+
+const scenario = {
+  meta: { id: "reset", title: "Reset" },
+  events: [{ id: "a1", t: 30, responseWindowSec: 5, allowedActions: ["Go", "Hold"], correctAction: "Go" }],
+};
+
+test("reset refuses a scenario file that no longer validates", async (t) => {
+  const server = await startServer({ reset: scenario });
+  t.after(() => server.stop());
+  const session = await createSession(server, "reset");
+  const route = `/api/session/${session.sessionId}`;
+  await server.api("POST", `${route}/start`, {});
+
+  const broken = { ...scenario, events: [{ ...scenario.events[0], correctAction: "Flee" }] };
+  fs.writeFileSync(path.join(server.scenariosDir, "reset.json"), JSON.stringify(broken));
+  const reset = await server.api("POST", `${route}/reset`, {});
+  assert.equal(reset.status, 400);
+  assert.equal(reset.body.error, "INVALID_SCENARIO");
+  assert.equal(reset.body.errors[0].path, "/events/0/correctAction");
+
+  const running = await server.api("GET", `${route}/scenario`);
+  assert.equal(running.body.events[0].correctAction, "Go");
+  const sessions = await server.api("GET", "/api/sessions");
+  assert.equal(sessions.body.find((row) => row.id === session.sessionId).phase, "running");
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateScenario } from "../scenario-validator.mjs";
+
+const decision = (id, branches) => ({
+  id, t: 1, responseWindowSec: 5, allowedActions: ["Go", "Hold"], correctAction: "Go", ...(branches ? { branches } : {}),
+});
+const bulletin = (id) => ({ id, t: 1, requiresAction: false, title: id });
+const byAction = (go, hold) => ({
+  by: "majorityAction",
+  cases: [{ action: "Go", events: go }, { action: "Hold", events: hold }],
+});
+const scenarioWith = (...events) => ({ meta: { id: "ids", title: "ids" }, events });
+const duplicates = (scenario) => validateScenario(scenario).filter((error) => error.message.startsWith("duplicate event id"));
+
+test("alternative cases of one branch point may reuse a follow-up id", () => {
+  assert.deepEqual(duplicates(scenarioWith(decision("a1", byAction([bulletin("f1")], [bulletin("f1")])))), []);
+});
+
+test("a follow-up id may not repeat an id from the main timeline", () => {
+  const errors = duplicates(scenarioWith(bulletin("f1"), decision("a1", byAction([bulletin("f1")], []))));
+  assert.deepEqual(errors.map((error) => error.path), ["/events/1/branches/cases/0/events/0/id"]);
+});
+
+test("follow-ups of two different branch points can both run, so their ids must differ", () => {
+  const errors = duplicates(scenarioWith(
+    decision("a1", byAction([bulletin("f1")], [])),
+    decision("a2", byAction([], [bulletin("f1")])),
+  ));
+  assert.deepEqual(errors.map((error) => error.path), ["/events/1/branches/cases/1/events/0/id"]);
+});
+
+test("nested branches still clash with ids on their own path", () => {
+  const nested = decision("b1", byAction([bulletin("f1")], [bulletin("f2")]));
+  const errors = duplicates(scenarioWith(decision("a1", byAction([bulletin("f1"), nested], [bulletin("f2")]))));
+  assert.deepEqual(errors.map((error) => error.path), ["/events/0/branches/cases/0/events/1/branches/cases/0/events/0/id"]);
+});
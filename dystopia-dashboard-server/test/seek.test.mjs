@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createSession, submitInput, waitFor } from "./helpers.mjs";
+
+const scenario = {
+  meta: { id: "seek", title: "Seek", endBufferSec: 30 },
+  events: [{ id: "a1", t: 1, responseWindowSec: 10, allowedActions: ["Go", "Hold"], correctAction: "Go" }],
+};
+
+test("seeking back before an open event takes it back and reopens it on time", async (t) => {
+  const server = await startServer({ seek: scenario });
+  t.after(() => server.stop());
+  const session = await createSession(server, "seek", 1);
+  const [player] = session.controls;
+  const route = `/api/session/${session.sessionId}`;
+  const opens = () => player.messages.filter((m) => m.type === "event_open" && m.event.id === "a1");
+
+  await server.api("POST", `${route}/start`, {});
+  await waitFor(() => opens().length === 1);
+
+  const seek = await server.api("POST", `${route}/seek`, { t: 0 });
+  assert.deepEqual(seek.body.rewound, ["a1"]);
+  await waitFor(() => player.messages.find((m) => m.type === "event_close" && m.eventId === "a1"));
+
+  await waitFor(() => opens().length === 2);
+  const input = await submitInput(server, session, player, { eventId: "a1", action: "Go" });
+  assert.equal(input.status, 200);
+  assert.equal(input.body.accepted, true);
+});
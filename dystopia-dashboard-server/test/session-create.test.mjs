@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, createSession, waitFor } from "./helpers.mjs";
+
+const scenario = {
+  meta: { id: "plain", title: "Plain" },
+  events: [{ id: "a1", t: 30, responseWindowSec: 5, allowedActions: ["Go", "Hold"], correctAction: "Go" }],
+};
+
+test("the per-session facilitator key is returned but never logged", async (t) => {
+  const server = await startServer({ plain: scenario });
+  t.after(() => server.stop());
+  const session = await createSession(server, "plain");
+  assert.ok(session.facilitatorToken);
+
+  const ops = await server.connect({ role: "ops", sessionId: session.sessionId, facilitatorToken: session.facilitatorToken });
+  const snapshot = await waitFor(() => ops.messages.find((m) => m.type === "log_snapshot"));
+  assert.ok(snapshot.entries.some((entry) => JSON.stringify(entry).includes("OPS URL")));
+  assert.ok(!JSON.stringify(snapshot.entries).includes(session.facilitatorToken));
+  assert.ok(!server.output().includes(session.facilitatorToken));
+});
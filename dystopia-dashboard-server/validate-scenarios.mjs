@@ -0,0 +1,34 @@
+// Checks scenario files against scenario.schema.json plus the cross-field rules the server relies on.
+// Usage: npm run validate-scenarios [-- path/to/scenario.json ...]   (default: every file in scenarios/)
+import fs from "node:fs";
+import path from "node:path";
+import url from "node:url";
+import { validateScenario } from "./scenario-validator.mjs";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const scenarioDir = path.join(__dirname, "scenarios");
+
+const files = process.argv.slice(2).length
+  ? process.argv.slice(2)
+  : fs.readdirSync(scenarioDir).filter((name) => name.endsWith(".json")).sort().map((name) => path.join(scenarioDir, name));
+
+let failed = 0;
+for (const file of files) {
+  const label = path.relative(process.cwd(), file) || file;
+  let errors;
+  try {
+    errors = validateScenario(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    errors = [{ path: "/", message: `unreadable: ${err.message}` }];
+  }
+  if (!errors.length) {
+    console.log(`ok    ${label}`);
+    continue;
+  }
+  failed += 1;
+  console.log(`FAIL  ${label} (${errors.length} error${errors.length === 1 ? "" : "s"})`);
+  for (const error of errors) console.log(`      ${error.path}: ${error.message}`);
+}
+
+console.log(`\n${files.length - failed}/${files.length} scenario(s) valid`);
+process.exit(failed ? 1 : 0);
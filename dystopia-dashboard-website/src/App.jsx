@@ -19,6 +19,12 @@ const qs = new URLSearchParams(window.location.search);
 const ASSESSMENT_SESSION_ID = qs.get("session");
 const IS_ASSESSMENT_MODE = (qs.get("mode") || "").toLowerCase() === "assessment" && !!ASSESSMENT_SESSION_ID;
 const SESSION_REDIRECT_KEY = "hci-session-redirect";
+// Finale ranking axis: "score" or a scenario dimension such as "compliance" (?rankBy=…&order=asc|desc)
+const LEADERBOARD_RANK_BY = qs.get("rankBy") || "";
+const LEADERBOARD_ORDER = qs.get("order") || "";
+// Facilitator token for privileged server routes; only ever present on ops/media URLs, never controller URLs
+const FACILITATOR_KEY = qs.get("key") || "";
+const facilitatorHeaders = (key = FACILITATOR_KEY) => (key ? { Authorization: `Bearer ${key}` } : {});
 // --- WebSocket remote alert constants ---
 const WS_URL = import.meta.env.VITE_ALERT_WS_URL || "ws://localhost:8787";
 const asLevel = (v) => (v || "").toString().toLowerCase();
@@ -47,6 +53,9 @@ import {
   ChevronLeft,
   ChevronRight,
   X,
+  Users,
+  ListChecks,
+  Play,
 } from "lucide-react";
 import {
   Card,
@@ -83,6 +92,7 @@ const CRITICAL_ACTIONS = [
 const PSA_ROTATION_INTERVAL_MS = 7000;
 const SERVER_LOG_LIMIT = 400;
 const SERVER_CONSOLE_VISIBLE_LIMIT = 7;
+const BULLETIN_DISMISS_MS = 12000;
 
 // --- Utility helpers ---
 const fmt = (n) => n.toLocaleString();
@@ -363,6 +373,19 @@ function useClock() {
   return t.toLocaleString();
 }
 
+// Whole seconds left until a local-clock deadline (ms), or null when there is none
+function useCountdown(deadline) {
+  const [seconds, setSeconds] = React.useState(null);
+  React.useEffect(() => {
+    const update = () => setSeconds(deadline ? Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) : null);
+    update();
+    if (!deadline) return undefined;
+    const id = setInterval(update, 250);
+    return () => clearInterval(id);
+  }, [deadline]);
+  return seconds;
+}
+
 function useIsPortrait() {
   const getPortrait = () => {
     if (typeof window === "undefined" || typeof window.matchMedia !== "function") return true;
@@ -492,6 +515,11 @@ const CCTV_FEEDS = [
 
 const CONTROL_IDENTITY_STORAGE_PREFIX = "dystopia-control";
 
+function normalizeJoinCode(input) {
+  if (typeof input !== "string") return "";
+  return input.trim().toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 12);
+}
+
 function sanitizeCodename(input) {
   if (typeof input !== "string") return "";
   return input.trim().replace(/\s+/g, " ").slice(0, 32);
@@ -509,9 +537,10 @@ function loadStoredIdentity(sessionId) {
     if (!raw) return {};
     const parsed = JSON.parse(raw);
     if (parsed && typeof parsed === "object") {
-      const { participantId = null, codename = null } = parsed;
+      const { participantId = null, participantToken = null, codename = null } = parsed;
       return {
         participantId: participantId || null,
+        participantToken: participantToken || null,
         codename: sanitizeCodename(codename || "") || null,
       };
     }
@@ -526,12 +555,13 @@ function persistStoredIdentity(sessionId, identity) {
   try {
     const key = getIdentityStorageKey(sessionId);
     const participantId = identity?.participantId || null;
+    const participantToken = identity?.participantToken || null;
     const codename = sanitizeCodename(identity?.codename || "") || null;
     if (!participantId && !codename) {
       window.localStorage?.removeItem(key);
       return;
     }
-    window.localStorage?.setItem(key, JSON.stringify({ participantId, codename }));
+    window.localStorage?.setItem(key, JSON.stringify({ participantId, participantToken, codename }));
   } catch (err) {
     console.warn("Failed to persist identity", err);
   }
@@ -561,8 +591,11 @@ function LeaderboardPane({
   algoText,
   sessionId,
   isAssessment,
+  teamRows = [],
 }) {
   const hasContestants = Array.isArray(rows) && rows.some((row) => !row?.placeholder);
+  const [ledgerView, setLedgerView] = React.useState("individuals"); // "individuals" | "teams"
+  const showTeams = ledgerView === "teams" && teamRows.length > 0;
   const directiveMessage = assessmentFinal
     ? "The following members have been selected to join the HCI Taskforce."
     : "Awaiting final clearance from THE ALGORITHM. Maintain observation protocols.";
@@ -589,10 +622,11 @@ function LeaderboardPane({
     return "border-white/10 bg-white/5 text-white/80";
   };
 
-  const scoreTone = (row, revealed) => {
+  // tones the number the row displays: the score, or the dimension value when ranked by one
+  const scoreTone = (value, revealed) => {
     if (!revealed) return "text-white/30";
-    if (typeof row?.score === "number") {
-      return row.score <= 0 ? "text-emerald-300" : "text-rose-300";
+    if (typeof value === "number") {
+      return value <= 0 ? "text-emerald-300" : "text-rose-300";
     }
     return "text-white/50";
   };
@@ -613,6 +647,21 @@ function LeaderboardPane({
               <span>{sessionTag}</span>
               <span className="h-3 w-px bg-white/20" aria-hidden="true" />
               <span>Status · {statusLabel}</span>
+              {teamRows.length > 0 && (
+                <>
+                  <span className="h-3 w-px bg-white/20" aria-hidden="true" />
+                  {["individuals", "teams"].map((mode) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setLedgerView(mode)}
+                      className={`uppercase tracking-[0.35em] ${ledgerView === mode ? "text-emerald-300" : "text-white/40 hover:text-white/70"}`}
+                    >
+                      {mode === "teams" ? "Squads" : "Individuals"}
+                    </button>
+                  ))}
+                </>
+              )}
             </div>
           </div>
 
@@ -650,6 +699,29 @@ function LeaderboardPane({
                     Retry uplink
                   </Button>
                 </div>
+              ) : showTeams ? (
+                <div className="space-y-3 max-h-[55vh] overflow-y-auto pr-1">
+                  {teamRows.map((row) => (
+                    <div key={row.team} className={`flex items-center justify-between gap-4 rounded-2xl border px-4 py-4 backdrop-blur-sm ${rowTone(row)}`}>
+                      <div className="flex items-center gap-4">
+                        <div className="flex h-12 w-12 items-center justify-center rounded-full border border-white/30 bg-black/30 text-white">
+                          <span className="font-semibold tracking-wide text-sm">#{String(row.rank).padStart(2, '0')}</span>
+                        </div>
+                        <div>
+                          <div className="text-lg font-semibold text-white tracking-tight font-mono">{row.team}</div>
+                          <div className="text-[11px] uppercase tracking-[0.35em] text-white/40 mt-1">
+                            {row.members} {row.members === 1 ? 'member' : 'members'}
+                            {typeof row.correctEvents === 'number' ? ` · ${row.correctEvents} majority calls` : ''}
+                          </div>
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <div className="text-[10px] uppercase tracking-[0.5em] text-white/35">Score</div>
+                        <div className={`mt-1 text-xl font-semibold font-mono ${scoreTone(row.score, true)}`}>{formatScore(row.score)}</div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
               ) : hasContestants ? (
                 <div className="space-y-3 max-h-[55vh] overflow-y-auto pr-1">
                   <AnimatePresence initial={false}>
@@ -658,7 +730,8 @@ function LeaderboardPane({
                       const rowClass = rowTone(row);
                       const totalLength = (row?.codename || "").length;
                       const revealed = !row?.placeholder && (row?.typedName?.length || 0) >= totalLength && totalLength >= 0;
-                      const scoreClass = scoreTone(row, revealed);
+                      const shownValue = row?.rankBy ? row.rankValue : row?.score;
+                      const scoreClass = scoreTone(shownValue, revealed);
                       return (
                         <motion.div
                           key={key}
@@ -698,14 +771,17 @@ function LeaderboardPane({
                             </div>
                           </div>
                           <div className="text-right">
-                            <div className="text-[10px] uppercase tracking-[0.5em] text-white/35">Score</div>
+                            <div className="text-[10px] uppercase tracking-[0.5em] text-white/35">{row?.rankBy || "Score"}</div>
                             {row?.placeholder ? (
                               <div className="text-sm text-white/30">—</div>
                             ) : (
                               <div className={`mt-1 text-xl font-semibold font-mono ${scoreClass}`}>
-                                {revealed ? formatScore(row?.score) : "⋯"}
+                                {revealed ? formatScore(shownValue) : "⋯"}
                               </div>
                             )}
+                            {!row?.placeholder && revealed && row?.bestStreak > 1 && (
+                              <div className="mt-1 text-[10px] uppercase tracking-[0.3em] text-white/40">Best streak {row.bestStreak}</div>
+                            )}
                           </div>
                         </motion.div>
                       );
@@ -733,15 +809,19 @@ function LeaderboardPane({
 }
 
 // ===== QR Card (Assessment Mode) =====
-function QRCard({ sessionId }) {
+function QRCard({ sessionId, joinCode, autoStartAt }) {
+  const autoStartSec = useCountdown(autoStartAt);
   const [dataUrl, setDataUrl] = React.useState(null);
   const [startStatus, setStartStatus] = React.useState("idle");
   const [startMessage, setStartMessage] = React.useState("");
+  const [rotateStatus, setRotateStatus] = React.useState("idle");
   const [isExpanded, setIsExpanded] = React.useState(false);
   const openExpanded = React.useCallback(() => setIsExpanded(true), []);
   const closeExpanded = React.useCallback(() => setIsExpanded(false), []);
-  const controlUrl = `${window.location.origin}/?mode=assessment&session=${encodeURIComponent(sessionId || "")}#/control`;
+  const joinParam = joinCode ? `&join=${encodeURIComponent(joinCode)}` : "";
+  const controlUrl = `${window.location.origin}/?mode=assessment&session=${encodeURIComponent(sessionId || "")}${joinParam}#/control`;
   const startEndpoint = sessionId ? `http://localhost:8787/api/session/${encodeURIComponent(sessionId)}/start` : null;
+  const rotateEndpoint = sessionId ? `http://localhost:8787/api/session/${encodeURIComponent(sessionId)}/join-code` : null;
 
   React.useEffect(() => {
     let cancelled = false;
@@ -761,7 +841,7 @@ function QRCard({ sessionId }) {
     setStartStatus("loading");
     setStartMessage("");
     try {
-      const res = await fetch(startEndpoint, { method: "POST" });
+      const res = await fetch(startEndpoint, { method: "POST", headers: facilitatorHeaders() });
       if (!res.ok) {
         const body = await res.text().catch(() => "");
         throw new Error(body?.trim() || `Request failed (${res.status})`);
@@ -774,6 +854,20 @@ function QRCard({ sessionId }) {
     }
   }, [startEndpoint]);
 
+  // the new code arrives over the ops socket (join_code), which re-renders the QR
+  const handleRotate = React.useCallback(async () => {
+    if (!rotateEndpoint) return;
+    setRotateStatus("loading");
+    try {
+      const res = await fetch(rotateEndpoint, { method: "POST", headers: facilitatorHeaders() });
+      if (!res.ok) throw new Error(`Request failed (${res.status})`);
+      setRotateStatus("idle");
+    } catch (err) {
+      console.error("Failed to rotate join code", err);
+      setRotateStatus("error");
+    }
+  }, [rotateEndpoint]);
+
   React.useEffect(() => {
     if (!isExpanded) return;
     const handleKey = (event) => {
@@ -803,6 +897,10 @@ function QRCard({ sessionId }) {
       if (!expanded) event.stopPropagation();
       handleStart();
     };
+    const handleRotateClick = (event) => {
+      if (!expanded) event.stopPropagation();
+      handleRotate();
+    };
 
     return (
       <Card
@@ -829,6 +927,23 @@ function QRCard({ sessionId }) {
             <div className={`${expanded ? "w-[22rem] h-[22rem] text-base" : "w-48 h-48 text-xs"} rounded-lg border border-dashed border-white/15 grid place-items-center text-white/50 bg-black/40`}>QR loading…</div>
           )}
           <div className={`text-sm text-white/80 space-y-4 max-w-md ${expanded ? "text-base" : ""}`}>
+            <div className="space-y-1">
+              <div className="text-white/60">Join code:</div>
+              <div className="flex items-center gap-3">
+                <span className={`font-mono tracking-[0.35em] text-white ${expanded ? "text-4xl" : "text-2xl"}`}>{joinCode || "······"}</span>
+                <button
+                  type="button"
+                  onClick={handleRotateClick}
+                  disabled={!rotateEndpoint || rotateStatus === "loading"}
+                  className="text-white/50 hover:text-white disabled:opacity-40"
+                  aria-label="Rotate join code"
+                  title="Rotate join code"
+                >
+                  <RefreshCw className={`h-4 w-4 ${rotateStatus === "loading" ? "animate-spin" : ""}`} />
+                </button>
+              </div>
+              {rotateStatus === "error" && <div className="text-xs text-red-300">Failed to rotate join code.</div>}
+            </div>
             <div className="space-y-1">
               <div className="text-white/60">URL:</div>
               <div className="text-white/70 break-all">{controlUrl}</div>
@@ -854,6 +969,9 @@ function QRCard({ sessionId }) {
               {!startEndpoint && (
                 <div className={`text-xs text-white/50 ${expanded ? "text-sm" : ""}`}>Session ID missing; cannot start.</div>
               )}
+              {autoStartSec != null && startStatus !== "success" && (
+                <div className={`text-xs text-amber-200 ${expanded ? "text-sm" : ""}`}>Auto-start in {autoStartSec}s</div>
+              )}
             </div>
           </div>
         </CardContent>
@@ -900,6 +1018,265 @@ function QRCard({ sessionId }) {
   );
 }
 
+// ===== Lobby Roster (who has joined before /start) =====
+function LobbyRosterPanel({ participants, autoStartAt }) {
+  const rows = Array.isArray(participants) ? participants : [];
+  const autoStartSec = useCountdown(autoStartAt);
+  const connectedCount = rows.filter((p) => p.connected).length;
+  const readyCount = rows.filter((p) => p.connected && p.ready).length;
+  return (
+    <Card className="flex flex-col bg-neutral-900/90 border-white/10">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-white/90 text-lg"><Users className="w-4 h-4" /> Lobby</CardTitle>
+        <CardDescription className="text-white/50">
+          {connectedCount} connected • {readyCount} ready
+          {autoStartSec != null && <span className="text-amber-200"> • auto-start in {autoStartSec}s</span>}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex-1 min-h-0 overflow-hidden">
+        <ScrollArea className="h-full pr-2">
+          <div className="space-y-2">
+            {rows.length === 0 && (
+              <div className="rounded-xl border border-dashed border-white/10 bg-black/40 px-3 py-4 text-sm text-white/60">
+                Waiting for candidates to scan the QR code.
+              </div>
+            )}
+            {rows.map((p) => (
+              <div key={p.participantId} className={`flex items-center justify-between gap-2 rounded-xl border border-white/10 bg-black/40 px-3 py-2 ${p.connected ? "" : "opacity-50"}`}>
+                <div className="flex min-w-0 items-center gap-2 text-sm text-white/80">
+                  <span className={`h-2 w-2 shrink-0 rounded-full ${p.connected ? "bg-emerald-400" : "bg-white/30"}`} />
+                  <span className="truncate">{p.codename}</span>
+                  {p.team && <span className="text-xs text-cyan-300/80">{p.team}</span>}
+                  {!p.codenameLocked && <span className="text-xs text-white/40">(choosing codename)</span>}
+                </div>
+                {p.connected ? (
+                  <Badge className={p.ready ? "bg-emerald-500/20 border-emerald-400/40 text-emerald-200" : "bg-white/10 border-white/20 text-white/60"}>
+                    {p.ready ? "READY" : "WAITING"}
+                  </Badge>
+                ) : (
+                  <Badge className="bg-white/5 border-white/10 text-white/40">OFFLINE</Badge>
+                )}
+              </div>
+            ))}
+          </div>
+        </ScrollArea>
+      </CardContent>
+    </Card>
+  );
+}
+
+// ===== Scenario Picker (start a new session on any scenario in the server's catalogue) =====
+function formatDurationHint(sec) {
+  if (!Number.isFinite(Number(sec))) return null;
+  const total = Math.round(Number(sec));
+  return total >= 60 ? `${Math.floor(total / 60)}m${total % 60 ? ` ${total % 60}s` : ""}` : `${total}s`;
+}
+
+function ScenarioPicker({ onStart }) {
+  const [open, setOpen] = React.useState(false);
+  const [status, setStatus] = React.useState("idle"); // idle | loading | success | error
+  const [error, setError] = React.useState("");
+  const [rows, setRows] = React.useState([]);
+  const [starting, setStarting] = React.useState(null);
+
+  const fetchScenarios = React.useCallback(async () => {
+    setStatus("loading");
+    setError("");
+    try {
+      const res = await fetch("http://localhost:8787/api/scenarios");
+      if (!res.ok) throw new Error(`Request failed (${res.status})`);
+      const json = await res.json();
+      if (!Array.isArray(json)) throw new Error("Malformed scenario list");
+      setRows(json);
+      setStatus("success");
+    } catch (err) {
+      setStatus("error");
+      setError(err?.message || "Unable to load scenarios.");
+    }
+  }, []);
+
+  React.useEffect(() => {
+    if (open) fetchScenarios();
+  }, [open, fetchScenarios]);
+
+  const start = async (scenarioId) => {
+    setStarting(scenarioId);
+    try {
+      await onStart?.(scenarioId);
+      setOpen(false);
+    } finally {
+      setStarting(null);
+    }
+  };
+
+  return (
+    <div className="relative ml-3">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className="flex items-center gap-2 px-3 py-2 rounded-md bg-blue-700 hover:bg-blue-600 text-white text-sm"
+      >
+        <Play className="w-4 h-4" /> Start New Session
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-[24rem] rounded-xl border border-white/10 bg-neutral-950/95 shadow-xl backdrop-blur">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-white/10 text-xs uppercase tracking-[0.3em] text-white/50">
+            <span>Scenarios</span>
+            <div className="flex items-center gap-2">
+              <button onClick={fetchScenarios} className="text-white/50 hover:text-white" aria-label="Refresh scenarios">
+                {status === "loading" ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+              </button>
+              <button onClick={() => setOpen(false)} className="text-white/50 hover:text-white" aria-label="Close scenario picker">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="max-h-[60vh] overflow-y-auto p-2 space-y-2">
+            {status === "error" && (
+              <div className="px-3 py-4 text-sm text-rose-300">{error}</div>
+            )}
+            {status !== "error" && rows.length === 0 && (
+              <div className="px-3 py-4 text-sm text-white/60">
+                {status === "loading" ? "Loading scenarios…" : "No scenarios on the server."}
+              </div>
+            )}
+            {rows.map((row) => {
+              const duration = formatDurationHint(row.durationHintSec);
+              return (
+                <button
+                  key={row.id}
+                  disabled={!row.valid || Boolean(starting)}
+                  onClick={() => start(row.id)}
+                  className="w-full rounded-lg border border-white/10 bg-black/40 px-3 py-2 text-left transition hover:border-white/30 disabled:opacity-50 disabled:hover:border-white/10"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="text-sm text-white truncate">{row.title || row.id}</div>
+                    {starting === row.id && <Loader2 className="w-4 h-4 animate-spin text-white/60" />}
+                    {!row.valid && (
+                      <Badge className="text-[10px] uppercase tracking-[0.2em] bg-rose-500/20 border-rose-400/40 text-rose-200">invalid</Badge>
+                    )}
+                  </div>
+                  <div className="mt-1 flex items-center gap-3 text-[11px] text-white/50 font-mono">
+                    <span className="truncate">{row.id}</span>
+                    <span className="ml-auto">{row.eventCount ?? 0} events</span>
+                    {duration && <span>~{duration}</span>}
+                    {row.algoTone && <span>{row.algoTone}</span>}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===== Session Picker (attach an ops screen to an existing session) =====
+const SESSION_PHASE_TONES = {
+  running: "bg-emerald-500/20 border-emerald-400/40 text-emerald-200",
+  lobby: "bg-cyan-500/20 border-cyan-400/40 text-cyan-200",
+  finalized: "bg-white/10 border-white/20 text-white/60",
+};
+
+function SessionPicker({ currentSessionId, onSelect }) {
+  const [open, setOpen] = React.useState(false);
+  const [status, setStatus] = React.useState("idle"); // idle | loading | success | error
+  const [error, setError] = React.useState("");
+  const [rows, setRows] = React.useState([]);
+
+  const fetchSessions = React.useCallback(async () => {
+    setStatus("loading");
+    setError("");
+    try {
+      const res = await fetch("http://localhost:8787/api/sessions", { headers: facilitatorHeaders() });
+      if (res.status === 401 || res.status === 403) {
+        throw new Error("Listing sessions needs a facilitator key (?key=…).");
+      }
+      if (!res.ok) throw new Error(`Request failed (${res.status})`);
+      const json = await res.json();
+      if (!Array.isArray(json)) throw new Error("Malformed session list");
+      setRows(json);
+      setStatus("success");
+    } catch (err) {
+      setStatus("error");
+      setError(err?.message || "Unable to load sessions.");
+    }
+  }, []);
+
+  React.useEffect(() => {
+    if (!open) return undefined;
+    fetchSessions();
+    const id = setInterval(fetchSessions, 5000);
+    return () => clearInterval(id);
+  }, [open, fetchSessions]);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className={`flex items-center gap-2 px-3 py-2 rounded-md border text-sm ${open ? 'bg-white/10 border-white/30 text-white' : 'border-white/10 text-white/70 hover:text-white'}`}
+      >
+        <ListChecks className="w-4 h-4" /> Sessions
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-50 w-[26rem] rounded-xl border border-white/10 bg-neutral-950/95 shadow-xl backdrop-blur">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-white/10 text-xs uppercase tracking-[0.3em] text-white/50">
+            <span>Active Sessions</span>
+            <div className="flex items-center gap-2">
+              <button onClick={fetchSessions} className="text-white/50 hover:text-white" aria-label="Refresh sessions">
+                {status === "loading" ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+              </button>
+              <button onClick={() => setOpen(false)} className="text-white/50 hover:text-white" aria-label="Close session picker">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="max-h-[60vh] overflow-y-auto p-2 space-y-2">
+            {status === "error" && (
+              <div className="px-3 py-4 text-sm text-rose-300">{error}</div>
+            )}
+            {status !== "error" && rows.length === 0 && (
+              <div className="px-3 py-4 text-sm text-white/60">
+                {status === "loading" ? "Loading sessions…" : "No sessions on the server."}
+              </div>
+            )}
+            {rows.map((row) => {
+              const isCurrent = row.id === currentSessionId;
+              const started = Number.isFinite(Number(row.startedAt))
+                ? new Date(Number(row.startedAt)).toLocaleTimeString([], { hour12: false })
+                : "—";
+              return (
+                <button
+                  key={row.id}
+                  onClick={() => {
+                    setOpen(false);
+                    if (!isCurrent) onSelect?.(row.id);
+                  }}
+                  className={`w-full rounded-lg border px-3 py-2 text-left transition ${isCurrent ? 'border-emerald-400/40 bg-emerald-500/10' : 'border-white/10 bg-black/40 hover:border-white/30'}`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="font-mono text-sm text-white">{row.id}</div>
+                    <Badge className={`text-[10px] uppercase tracking-[0.2em] ${SESSION_PHASE_TONES[row.phase] ?? SESSION_PHASE_TONES.finalized}`}>
+                      {row.paused ? "paused" : row.phase}
+                    </Badge>
+                  </div>
+                  <div className="mt-1 text-xs text-white/70 truncate">{row.title || row.scenarioId}</div>
+                  <div className="mt-1 flex items-center gap-3 text-[11px] text-white/50 font-mono">
+                    <span className="flex items-center gap-1"><Users className="w-3 h-3" /> {row.participants ?? 0}</span>
+                    <span>OPS {row.sockets?.ops ?? 0}</span>
+                    <span>CTRL {row.sockets?.control ?? 0}</span>
+                    <span className="ml-auto">Started {started}</span>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Bespoke critical scenarios (no randomness in content; we rotate through these)
 const CRITICAL_SCENARIOS = [
   {
@@ -1574,6 +1951,10 @@ function ControlPanel() {
   const qs = new URLSearchParams(window.location.search);
   const sessionId = qs.get("session") || "";
   const storedIdentity = React.useMemo(() => loadStoredIdentity(sessionId), [sessionId]);
+  const [joinCode, setJoinCode] = React.useState(() => normalizeJoinCode(qs.get("join") || ""));
+  const [joinCodeDraft, setJoinCodeDraft] = React.useState("");
+  const [joinCodeError, setJoinCodeError] = React.useState("");
+  const joinCodeRef = React.useRef(joinCode);
   const [participantId, setParticipantId] = React.useState(storedIdentity.participantId || null);
   const [codename, setCodename] = React.useState(storedIdentity.codename || null);
   const [codenameDraft, setCodenameDraft] = React.useState(storedIdentity.codename || "");
@@ -1581,6 +1962,8 @@ function ControlPanel() {
   const [codenameError, setCodenameError] = React.useState("");
 
   const participantIdRef = React.useRef(participantId);
+  const participantTokenRef = React.useRef(storedIdentity.participantToken || null); // signed by the server, proves who we are
+  const seatJoinCodeRef = React.useRef(null); // the join code our seat was admitted with; inputs must carry it
   const codenameRef = React.useRef(sanitizeCodename(codename || codenameDraft || ""));
   const codenameLockedRef = React.useRef(Boolean(storedIdentity.codename));
 
@@ -1588,6 +1971,10 @@ function ControlPanel() {
     participantIdRef.current = participantId;
   }, [participantId]);
 
+  React.useEffect(() => {
+    joinCodeRef.current = joinCode;
+  }, [joinCode]);
+
   React.useEffect(() => {
     codenameRef.current = sanitizeCodename(codename || codenameDraft || "");
   }, [codename, codenameDraft]);
@@ -1596,6 +1983,7 @@ function ControlPanel() {
     if (!sessionId) return;
     const saved = loadStoredIdentity(sessionId);
     setParticipantId(saved.participantId || null);
+    participantTokenRef.current = saved.participantToken || null;
     setCodename(saved.codename || null);
     setCodenameDraft(saved.codename || "");
     const locked = Boolean(saved.codename);
@@ -1608,6 +1996,7 @@ function ControlPanel() {
     if (!sessionId) return;
     persistStoredIdentity(sessionId, {
       participantId: participantIdRef.current,
+      participantToken: participantTokenRef.current,
       codename: codenameRef.current,
     });
   }, [sessionId, participantId, codename]);
@@ -1619,30 +2008,50 @@ function ControlPanel() {
   // connection
   const wsRef = React.useRef(null);
   const reconnectRef = React.useRef(null);
+  const stopReconnectRef = React.useRef(false); // session expired or join code rejected
   const [connected, setConnected] = React.useState(false);
+  const [phase, setPhase] = React.useState(null); // "lobby" | "running" | "finalized" from the server
+  const [ready, setReady] = React.useState(false); // lobby ready toggle, echoed back by the server
+  const [team, setTeam] = React.useState(null); // squad in team mode
+  const [teamOptions, setTeamOptions] = React.useState(null); // { names, assign } when the session runs in team mode
+  const [autoStartAt, setAutoStartAt] = React.useState(null); // local deadline of a pending auto-start
+  const autoStartSec = useCountdown(autoStartAt);
   const eventIdRef = React.useRef(null);
 
   // UI state
   const [directive, setDirective] = React.useState(""); // THE ALGORITHM line
+  const [bulletin, setBulletin] = React.useState(null); // narrative beat (requiresAction:false), nothing to answer
   const [score, setScore] = React.useState(0);
+  const [streak, setStreak] = React.useState({ count: 0, multiplier: 1 }); // consecutive correct answers
 
   // Current event window
   const [eventId, setEventId] = React.useState(null);
   const [actions, setActions] = React.useState([]);
+  const [answerType, setAnswerType] = React.useState("single"); // "single" | "multi" | "sequence"
+  const [selection, setSelection] = React.useState([]); // multi/sequence answer being built, in tap order
   const [windowMs, setWindowMs] = React.useState(0);
   const [remainingMs, setRemainingMs] = React.useState(0);
   const [sending, setSending] = React.useState(false);
   const [lastSent, setLastSent] = React.useState(null);
+  const [revisable, setRevisable] = React.useState(false); // event answerPolicy allows changing the answer
+  const [lockedIn, setLockedIn] = React.useState(null);    // { action, revisionsLeft } held by the server until close
+  const [paused, setPaused] = React.useState(false);
   const eventQueueRef = React.useRef([]);
+  const eventEndSecRef = React.useRef(null); // session-clock second the current window closes
 
   const clearEventState = React.useCallback(() => {
     eventIdRef.current = null;
+    eventEndSecRef.current = null;
     setEventId(null);
     setActions([]);
+    setAnswerType("single");
+    setSelection([]);
     setWindowMs(0);
     setRemainingMs(0);
     setSending(false);
     setLastSent(null);
+    setRevisable(false);
+    setLockedIn(null);
     setDirective("");
   }, []);
 
@@ -1655,11 +2064,16 @@ function ControlPanel() {
     setEventId(evn.id);
     const act = Array.isArray(evn.actions) && evn.actions.length ? evn.actions : CRITICAL_ACTIONS;
     setActions(act);
+    setAnswerType(evn.answerType === "multi" || evn.answerType === "sequence" ? evn.answerType : "single");
+    setSelection([]);
     const winMs = Number(evn.responseWindowSec ?? 15) * 1000;
+    eventEndSecRef.current = Number.isFinite(Number(evn.t)) ? Number(evn.t) + winMs / 1000 : null;
     setWindowMs(winMs);
     setRemainingMs(winMs);
     setLastSent(null);
     setSending(false);
+    setRevisable(evn.answerPolicy === "last-wins" || (evn.answerPolicy === "limited-revisions" && Number(evn.maxRevisions ?? 1) > 0));
+    setLockedIn(null);
     if (typeof evn.banner === "string") {
       setDirective(evn.banner);
     }
@@ -1692,17 +2106,20 @@ function ControlPanel() {
     }
   }, []);
 
-  // Ring timer
+  // Ring timer (frozen while the facilitator has the session clock paused)
   React.useEffect(() => {
-    if (!remainingMs) return;
+    if (!remainingMs || paused) return;
     const id = setInterval(() => setRemainingMs((ms) => Math.max(0, ms - 100)), 100);
     return () => clearInterval(id);
-  }, [eventId, remainingMs]);
+  }, [eventId, remainingMs, paused]);
 
   // Connect as controller
   React.useEffect(() => {
     function connect() {
       if (wsRef.current) return;
+      // newcomers need a join code before the server will admit them
+      if (!joinCodeRef.current && !participantIdRef.current) return;
+      stopReconnectRef.current = false;
       try {
         const ws = new WebSocket(WS_URL);
         wsRef.current = ws;
@@ -1710,8 +2127,10 @@ function ControlPanel() {
           setConnected(true);
           try {
             const hello = { type: "hello", role: "control", sessionId };
-            if (participantIdRef.current) hello.participantId = participantIdRef.current;
+            if (joinCodeRef.current) hello.joinCode = joinCodeRef.current;
+            if (participantTokenRef.current) hello.participantToken = participantTokenRef.current;
             if (codenameRef.current) hello.codename = codenameRef.current;
+            if (codenameLockedRef.current) hello.codenameLocked = true;
             ws.send(JSON.stringify(hello));
           } catch {}
         };
@@ -1719,6 +2138,7 @@ function ControlPanel() {
           setConnected(false);
           wsRef.current = null;
           clearTimeout(reconnectRef.current);
+          if (stopReconnectRef.current) return;
           reconnectRef.current = setTimeout(connect, 2500);
         };
         ws.onerror = () => { /* noop */ };
@@ -1727,7 +2147,35 @@ function ControlPanel() {
 
           if (msg.type === "welcome") return; // optional ack
 
+          if (msg.type === "error" && msg.error === "JOIN_CODE_INVALID") {
+            // server closes the socket; wait for a corrected code instead of retrying
+            // (a stored participantId was not recognised either, so it is stale)
+            stopReconnectRef.current = true;
+            joinCodeRef.current = "";
+            setJoinCode("");
+            participantIdRef.current = null;
+            participantTokenRef.current = null;
+            setParticipantId(null);
+            setJoinCodeError("That join code is not valid. Check the code on the ops screen.");
+            return;
+          }
+
+          if (msg.type === "error" && msg.error === "PARTICIPANT_TOKEN_INVALID") {
+            // stored identity was not issued by this session; rejoin as a newcomer (onclose retries)
+            participantIdRef.current = null;
+            participantTokenRef.current = null;
+            setParticipantId(null);
+            if (!joinCodeRef.current) stopReconnectRef.current = true;
+            return;
+          }
+
           if (msg.type === "hello_ack" && msg.role === "control") {
+            if (msg.participantToken) participantTokenRef.current = msg.participantToken;
+            if (msg.joinCode) seatJoinCodeRef.current = msg.joinCode;
+            if (msg.phase) setPhase(msg.phase);
+            setReady(Boolean(msg.ready));
+            setTeam(msg.team || null);
+            setTeamOptions(msg.teams || null);
             if (msg.participantId) {
               participantIdRef.current = msg.participantId;
               setParticipantId(msg.participantId);
@@ -1742,6 +2190,16 @@ function ControlPanel() {
             return;
           }
 
+          if (msg.type === "tick") {
+            setPaused(Boolean(msg.paused));
+            // re-sync the ring with the server clock after a pause/seek (ticks are whole seconds, so allow drift)
+            const endSec = eventEndSecRef.current;
+            if (endSec !== null && Number.isFinite(Number(msg.t))) {
+              const serverRemaining = Math.max(0, (endSec - Number(msg.t)) * 1000);
+              setRemainingMs((ms) => (Math.abs(ms - serverRemaining) > 1500 ? serverRemaining : ms));
+            }
+            return;
+          }
           if (msg.type === "algo" && typeof msg.text === "string") {
             setDirective(msg.text);
             return;
@@ -1752,6 +2210,17 @@ function ControlPanel() {
           }
           if (msg.type === "feedback") {
             if (typeof msg.total === "number") setScore(msg.total);
+            if (typeof msg.streak === "number") {
+              setStreak({ count: msg.streak, multiplier: typeof msg.multiplier === "number" ? msg.multiplier : 1 });
+            }
+            return;
+          }
+          if (msg.type === "bulletin") {
+            setBulletin({ id: msg.eventId, title: msg.title, details: msg.details, location: msg.location, level: msg.level });
+            return;
+          }
+          if (msg.type === "answer_locked") {
+            if (msg.eventId === eventIdRef.current) setLockedIn({ action: msg.action, revisionsLeft: msg.revisionsLeft ?? null });
             return;
           }
           if (msg.type === "penalty" && typeof msg.delta === "number") {
@@ -1791,33 +2260,92 @@ function ControlPanel() {
             setDirective("ASSESSMENT COMPLETE");
             return;
           }
+          if (msg.type === "phase") {
+            setPhase(msg.phase || null);
+            if (msg.phase !== "lobby") setAutoStartAt(null);
+            return;
+          }
+          if (msg.type === "autostart") {
+            setAutoStartAt(typeof msg.inMs === "number" ? Date.now() + msg.inMs : null);
+            return;
+          }
+          if (msg.type === "ping") {
+            // clock sync: echo the server stamp with ours so it can work out our offset and latency
+            try { ws.send(JSON.stringify({ type: "pong", serverTs: msg.serverTs, clientTs: Date.now() })); } catch { /* next ping retries */ }
+            return;
+          }
+          if (msg.type === "ready") {
+            setReady(Boolean(msg.ready));
+            return;
+          }
+          if (msg.type === "team") {
+            setTeam(msg.team || null);
+            return;
+          }
+          if (msg.type === "reset") {
+            // facilitator reset the session: back to the lobby for the next run
+            eventQueueRef.current = [];
+            clearEventState();
+            setBulletin(null);
+            setScore(0);
+            setStreak({ count: 0, multiplier: 1 });
+            setPaused(false);
+            setPhase("lobby");
+            setReady(false);
+            if (!msg.keepRoster) {
+              participantIdRef.current = null;
+              participantTokenRef.current = null;
+              setTeam(null);
+              setParticipantId(null);
+              codenameRef.current = "";
+              setCodename(null);
+              setCodenameDraft("");
+              codenameLockedRef.current = false;
+              setCodenameLocked(false);
+              try { ws.send(JSON.stringify({ type: "hello", role: "control", sessionId, joinCode: joinCodeRef.current })); } catch { /* onclose reconnects */ }
+            }
+            return;
+          }
+          if (msg.type === "session_expired") {
+            stopReconnectRef.current = true;
+            eventQueueRef.current = [];
+            clearEventState();
+            setDirective("SESSION EXPIRED. Scan the current QR code to rejoin.");
+            return;
+          }
         };
       } catch {}
     }
     connect();
     return () => { clearTimeout(reconnectRef.current); try { wsRef.current?.close(); } catch {} wsRef.current = null; };
-  }, [sessionId, advanceQueue, startEvent, clearEventState]);
+  }, [sessionId, joinCode, advanceQueue, startEvent, clearEventState]);
 
-  // submit choice -> POST /api/session/:id/input
+  // submit choice -> POST /api/session/:id/input (a list for multi/sequence events)
   const submitChoice = React.useCallback(async (choice) => {
+    const tappedAt = Date.now(); // the server credits the transit time back against the response time
     const pendingEventId = eventIdRef.current;
-    if (!sessionId || !pendingEventId || !choice) return;
+    const compound = Array.isArray(choice);
+    if (!sessionId || !pendingEventId || !choice || (compound && !choice.length)) return;
     setSending(true);
-    setLastSent(choice);
+    setLastSent(compound ? choice.join(answerType === "sequence" ? " → " : " + ") : choice);
+    let keepOpen = false; // revisable answers stay editable until the window closes or revisions run out
     try {
       const res = await fetch(`${HTTP_BASE}/api/session/${encodeURIComponent(sessionId)}/input`, {
         method: 'POST',
         headers: { 'content-type': 'application/json' },
         body: JSON.stringify({
-          participantId: participantIdRef.current || participantId,         // <— important for personal feedback
-          codename: codenameRef.current || undefined,              // optional, keeps your alias consistent
+          participantToken: participantTokenRef.current,  // <— server derives who is answering from this
+          joinCode: seatJoinCodeRef.current || joinCodeRef.current, // <— checked against the session's join code
           eventId: pendingEventId,               // <— required for server to score the right window
-          action: choice,        // server now also accepts `choice`, but send action explicitly
-          clientTs: Date.now()
+          ...(compound ? { actions: choice } : { action: choice }), // server now also accepts `choice`, but send action explicitly
+          clientTs: tappedAt
         }),
       });
       if (!res.ok) {
         console.error('POST /input failed', res.status, await res.text());
+      } else {
+        const result = await res.json().catch(() => null);
+        keepOpen = Boolean(result?.pending) && result.revisionsLeft !== 0;
       }
     } catch (e) {
       console.error('POST /input network error', e);
@@ -1827,15 +2355,26 @@ function ControlPanel() {
     const clearDelayMs = 150;
     setTimeout(() => {
       setSending(false);
-      if (eventIdRef.current === pendingEventId) {
+      if (eventIdRef.current === pendingEventId && !keepOpen) {
         setTimeout(() => {
           if (eventIdRef.current === pendingEventId) {
             setActions([]);
+            setSelection([]);
           }
         }, clearDelayMs);
       }
     }, settleDelayMs);
-  }, [HTTP_BASE, sessionId]);
+  }, [HTTP_BASE, sessionId, answerType]);
+
+  const toggleSelection = React.useCallback((choice) => {
+    setSelection((prev) => (prev.includes(choice) ? prev.filter((c) => c !== choice) : [...prev, choice]));
+  }, []);
+
+  React.useEffect(() => {
+    if (!bulletin) return undefined;
+    const id = setTimeout(() => setBulletin(null), BULLETIN_DISMISS_MS);
+    return () => clearTimeout(id);
+  }, [bulletin]);
 
   const isPortrait = useIsPortrait();
   const timerRatio = windowMs > 0 ? Math.max(0, Math.min(1, remainingMs / windowMs)) : 0;
@@ -1848,7 +2387,9 @@ function ControlPanel() {
     const ws = wsRef.current;
     if (!ws || ws.readyState !== WebSocket.OPEN) return;
     const envelope = { type: "hello", role: "control", sessionId };
-    if (participantIdRef.current) envelope.participantId = participantIdRef.current;
+    if (joinCodeRef.current) envelope.joinCode = joinCodeRef.current;
+    if (participantTokenRef.current) envelope.participantToken = participantTokenRef.current;
+    if (codenameLockedRef.current) envelope.codenameLocked = true;
     const alias = sanitizeCodename(aliasOverride ?? codenameRef.current ?? "");
     if (alias) envelope.codename = alias;
     ws.send(JSON.stringify(envelope));
@@ -1877,6 +2418,32 @@ function ControlPanel() {
     setCodenameError("");
   }, []);
 
+  const needsJoinCode = !joinCode && !participantId;
+
+  const chooseTeam = React.useCallback((name) => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: "team", team: name }));
+  }, []);
+
+  const toggleReady = React.useCallback(() => {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: "ready", ready: !ready }));
+  }, [ready]);
+
+  const handleJoinCodeSubmit = React.useCallback((event) => {
+    event.preventDefault();
+    const code = normalizeJoinCode(joinCodeDraft);
+    if (!code) {
+      setJoinCodeError("Enter the join code shown on the ops screen.");
+      return;
+    }
+    setJoinCodeError("");
+    joinCodeRef.current = code;
+    setJoinCode(code);
+  }, [joinCodeDraft]);
+
   return (
     <div className="min-h-screen bg-neutral-950 text-white flex flex-col">
       {!isPortrait ? (
@@ -1901,7 +2468,7 @@ function ControlPanel() {
                 />
               </div>
               <div className="mt-2 text-right text-[10px] font-mono tracking-[0.3em] text-white/70">
-                {windowMs > 0 ? `${secondsRemaining}s` : '—'}
+                {paused ? 'PAUSED' : windowMs > 0 ? `${secondsRemaining}s` : '—'}
               </div>
             </header>
 
@@ -1913,14 +2480,28 @@ function ControlPanel() {
                 </div>
               </div>
 
+              {bulletin && (
+                <div className={`rounded-xl border px-4 py-3 shadow-inner ${bulletin.level === 'critical' || bulletin.level === 'high' ? 'border-amber-400/60 bg-amber-500/10' : 'border-cyan-400/40 bg-cyan-500/10'}`}>
+                  <div className="text-[10px] uppercase tracking-[0.4em] text-white/50 mb-1">Bulletin{bulletin.location ? ` · ${bulletin.location}` : ''}</div>
+                  <div className="text-sm font-semibold text-white">{bulletin.title}</div>
+                  {bulletin.details && <div className="mt-1 text-xs text-white/70">{bulletin.details}</div>}
+                </div>
+              )}
+
               <div className="grid grid-cols-2 gap-3">
                 <div className="rounded-xl border border-neutral-800 bg-neutral-950/70 p-4 shadow-inner text-center">
                   <div className="text-[10px] uppercase tracking-[0.4em] text-white/40">Score</div>
                   <div className="mt-2 text-3xl font-mono">{Math.round(score)}</div>
+                  <div className={`mt-1 text-[10px] font-mono uppercase tracking-[0.3em] ${streak.count > 1 ? 'text-amber-300' : 'text-white/30'}`}>
+                    Streak {streak.count}{streak.multiplier > 1 ? ` · ×${streak.multiplier}` : ''}
+                  </div>
                 </div>
                 <div className="rounded-xl border border-neutral-800 bg-neutral-950/70 p-4 shadow-inner text-center">
                   <div className="text-[10px] uppercase tracking-[0.4em] text-white/40">Session</div>
                   <div className="mt-2 text-xs font-mono truncate">{sessionId || '—'}</div>
+                  {team && (
+                    <div className="mt-2 text-[10px] font-mono uppercase tracking-[0.3em] text-cyan-300 truncate">Squad {team}</div>
+                  )}
                 </div>
               </div>
 
@@ -1936,7 +2517,59 @@ function ControlPanel() {
             <div className="mt-auto px-5 pb-6">
               <div className="rounded-2xl border border-neutral-800 bg-neutral-950/80 px-4 py-4 shadow-inner">
                 <div className="text-[10px] uppercase tracking-[0.4em] text-white/40 mb-3">Actions</div>
-                {actions.length ? (
+                {revisable && lockedIn && actions.length > 0 && (
+                  <div className="mb-3 rounded-lg border border-cyan-400/40 bg-cyan-500/10 px-3 py-2 text-xs font-mono text-cyan-100">
+                    LOCKED IN · {lockedIn.action}
+                    <span className="block text-cyan-100/60">
+                      {lockedIn.revisionsLeft == null
+                        ? 'Tap another action to change it before the window closes.'
+                        : `${lockedIn.revisionsLeft} change${lockedIn.revisionsLeft === 1 ? '' : 's'} left · scored at close.`}
+                    </span>
+                  </div>
+                )}
+                {actions.length && answerType !== 'single' ? (
+                  <div className="grid gap-3">
+                    <div className="text-xs text-white/50 font-mono">
+                      {answerType === 'sequence' ? 'Tap actions in order, then submit.' : 'Select all that apply, then submit.'}
+                    </div>
+                    {actions.map((a) => {
+                      const position = selection.indexOf(a);
+                      const selected = position !== -1;
+                      return (
+                        <Button
+                          key={a}
+                          disabled={!eventId || sending}
+                          onClick={() => toggleSelection(a)}
+                          variant="ghost"
+                          className={`relative w-full rounded-full !border-0 font-semibold tracking-[0.3em] uppercase py-4 transition-all disabled:!bg-neutral-700 disabled:!text-neutral-400 ${selected ? '!bg-emerald-500 text-black hover:!bg-emerald-400' : '!bg-neutral-800 text-white hover:!bg-neutral-700'}`}
+                        >
+                          {selected && (
+                            <span className="absolute left-4 font-mono text-xs tracking-normal">{answerType === 'sequence' ? position + 1 : '✓'}</span>
+                          )}
+                          {a}
+                        </Button>
+                      );
+                    })}
+                    <div className="grid grid-cols-[1fr_2fr] gap-3 pt-1">
+                      <Button
+                        disabled={!selection.length || sending}
+                        onClick={() => setSelection([])}
+                        variant="ghost"
+                        className="rounded-full !border !border-neutral-700 !bg-transparent text-white/70 uppercase tracking-[0.2em] py-4 disabled:opacity-40"
+                      >
+                        Clear
+                      </Button>
+                      <Button
+                        disabled={!eventId || !selection.length || sending}
+                        onClick={() => submitChoice(selection)}
+                        variant="ghost"
+                        className="rounded-full !border-0 !bg-white text-black font-semibold uppercase tracking-[0.3em] py-4 hover:!bg-white/90 disabled:!bg-neutral-700 disabled:!text-neutral-400"
+                      >
+                        {sending ? 'Sending…' : 'Submit'}
+                      </Button>
+                    </div>
+                  </div>
+                ) : actions.length ? (
                   <div className="grid gap-3">
                     {actions.map((a) => (
                       <Button
@@ -1944,12 +2577,41 @@ function ControlPanel() {
                         disabled={!eventId || sending}
                         onClick={() => submitChoice(a)}
                         variant="ghost"
-                        className="w-full rounded-full !border-0 !bg-emerald-500 text-black font-semibold tracking-[0.3em] uppercase py-4 shadow-[0_8px_0_rgba(0,0,0,0.35)] hover:!bg-emerald-400 disabled:!bg-neutral-700 disabled:!text-neutral-400 disabled:shadow-none transition-all"
+                        className={`w-full rounded-full !border-0 !bg-emerald-500 text-black font-semibold tracking-[0.3em] uppercase py-4 shadow-[0_8px_0_rgba(0,0,0,0.35)] hover:!bg-emerald-400 disabled:!bg-neutral-700 disabled:!text-neutral-400 disabled:shadow-none transition-all ${lockedIn?.action === a ? 'ring-2 ring-cyan-300 ring-offset-2 ring-offset-neutral-950' : ''}`}
                       >
                         {sending && lastSent === a ? 'Sending…' : a}
                       </Button>
                     ))}
                   </div>
+                ) : phase === 'lobby' ? (
+                  <div className="space-y-3">
+                    <div className="text-sm text-white/60 font-mono">
+                      {autoStartSec != null ? `Starting in ${autoStartSec}s…` : 'Waiting for the facilitator to start…'}
+                    </div>
+                    {teamOptions?.assign === 'choice' && (
+                      <div className="grid grid-cols-2 gap-2">
+                        {teamOptions.names.map((name) => (
+                          <Button
+                            key={name}
+                            disabled={!connected}
+                            onClick={() => chooseTeam(name)}
+                            variant="ghost"
+                            className={`rounded-full !border font-semibold uppercase tracking-[0.2em] py-3 transition-all ${team === name ? '!border-cyan-300 !bg-cyan-500/20 text-cyan-100' : '!border-neutral-700 !bg-transparent text-white/70 hover:text-white'}`}
+                          >
+                            {name}
+                          </Button>
+                        ))}
+                      </div>
+                    )}
+                    <Button
+                      disabled={!connected || !codenameLocked}
+                      onClick={toggleReady}
+                      variant="ghost"
+                      className={`w-full rounded-full !border-0 font-semibold tracking-[0.3em] uppercase py-4 transition-all disabled:!bg-neutral-700 disabled:!text-neutral-400 ${ready ? '!bg-emerald-500 text-black hover:!bg-emerald-400' : '!bg-neutral-800 text-white hover:!bg-neutral-700'}`}
+                    >
+                      {ready ? 'Ready ✓' : 'Mark Ready'}
+                    </Button>
+                  </div>
                 ) : (
                   <div className="text-sm text-white/60 font-mono">Waiting for next prompt…</div>
                 )}
@@ -1972,7 +2634,42 @@ function ControlPanel() {
           </div>
         </div>
       )}
-      {isPortrait && !codenameLocked && (
+      {isPortrait && needsJoinCode && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm px-6">
+          <form
+            onSubmit={handleJoinCodeSubmit}
+            className="w-full max-w-sm rounded-3xl border border-white/10 bg-neutral-950/95 p-6 shadow-xl"
+          >
+            <div className="text-xs font-mono uppercase tracking-[0.4em] text-white/40">Session Access</div>
+            <h2 className="mt-2 text-xl font-semibold text-white">Enter join code</h2>
+            <p className="mt-2 text-sm text-white/60">
+              Type the six-character code displayed next to the QR code.
+            </p>
+            <input
+              autoFocus
+              value={joinCodeDraft}
+              onChange={(event) => {
+                setJoinCodeDraft(event.target.value.toUpperCase());
+                setJoinCodeError("");
+              }}
+              placeholder="e.g. K9Q3ZT"
+              autoCapitalize="characters"
+              autoComplete="off"
+              className="mt-5 w-full rounded-2xl border border-neutral-700 bg-black/60 px-4 py-3 text-center font-mono text-lg tracking-[0.4em] text-white placeholder:text-white/30 placeholder:tracking-normal focus:border-emerald-400 focus:outline-none focus:ring-2 focus:ring-emerald-500/50"
+            />
+            {joinCodeError && (
+              <div className="mt-2 text-sm text-rose-400">{joinCodeError}</div>
+            )}
+            <Button
+              type="submit"
+              className="mt-5 w-full rounded-2xl !bg-emerald-500 text-black font-semibold tracking-[0.2em] uppercase hover:!bg-emerald-400"
+            >
+              Join Session
+            </Button>
+          </form>
+        </div>
+      )}
+      {isPortrait && !needsJoinCode && !codenameLocked && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm px-6">
           <form
             onSubmit={handleCodenameSubmit}
@@ -2019,10 +2716,11 @@ function HungerCrisisDashboard() {
     window.addEventListener('hashchange', onHash);
     return () => window.removeEventListener('hashchange', onHash);
   }, []);
-  const redirectToSession = useCallback((sessionId, nextView) => {
+  const redirectToSession = useCallback((sessionId, nextView, facilitatorKey = FACILITATOR_KEY) => {
     if (!sessionId || typeof window === 'undefined') return;
     const targetView = nextView ?? getViewFromHash();
-    const nextUrl = `${window.location.origin}/?mode=assessment&session=${encodeURIComponent(sessionId)}${hashForView(targetView)}`;
+    const keyParam = facilitatorKey ? `&key=${encodeURIComponent(facilitatorKey)}` : '';
+    const nextUrl = `${window.location.origin}/?mode=assessment&session=${encodeURIComponent(sessionId)}${keyParam}${hashForView(targetView)}`;
     if (window.location.href === nextUrl) return;
     window.location.href = nextUrl;
   }, []);
@@ -2034,7 +2732,7 @@ function HungerCrisisDashboard() {
       try {
         const payload = JSON.parse(event.newValue);
         if (payload?.sessionId) {
-          redirectToSession(payload.sessionId);
+          redirectToSession(payload.sessionId, undefined, payload.key);
         }
       } catch (err) {
         console.error('Invalid session redirect payload', err);
@@ -2043,12 +2741,12 @@ function HungerCrisisDashboard() {
     window.addEventListener('storage', onStorage);
     return () => window.removeEventListener('storage', onStorage);
   }, [redirectToSession]);
-  const handleStartNewSession = useCallback(async () => {
+  const handleStartNewSession = useCallback(async (scenarioId) => {
     try {
       const res = await fetch('http://localhost:8787/api/session', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ scenarioId: 'south-district-crisis' }),
+        body: JSON.stringify({ scenarioId }),
       });
       if (!res.ok) {
         throw new Error(`Failed to create session (${res.status})`);
@@ -2059,13 +2757,13 @@ function HungerCrisisDashboard() {
           if (typeof window !== 'undefined') {
             window.localStorage.setItem(
               SESSION_REDIRECT_KEY,
-              JSON.stringify({ sessionId: data.sessionId, ts: Date.now() })
+              JSON.stringify({ sessionId: data.sessionId, key: data.facilitatorToken, ts: Date.now() })
             );
           }
         } catch (storageErr) {
           console.warn('Unable to broadcast session redirect', storageErr);
         }
-        redirectToSession(data.sessionId, view);
+        redirectToSession(data.sessionId, view, data.facilitatorToken);
       } else {
         console.error('No sessionId in response', data);
       }
@@ -2077,10 +2775,12 @@ function HungerCrisisDashboard() {
   const [soundOn, setSoundOn] = useState(true);
   const soundOnRef = useRef(soundOn);
   const [remoteConnected, setRemoteConnected] = useState(false);
+  const [remoteKeyRejected, setRemoteKeyRejected] = useState(false);
   const wsRef = useRef(null);
   const reconnectTimerRef = useRef(null);
   // Prevent double-mount/StrictMode WebSocket reconnects
   const unmountedRef = useRef(false);
+  const haltReconnectRef = useRef(false); // session expired or facilitator key rejected
   const isConnectingRef = useRef(false);
   // Ref for the randomized alert timer
   const randomTimerRef = useRef(null);
@@ -2188,8 +2888,12 @@ function HungerCrisisDashboard() {
     container.scrollTop = container.scrollHeight;
   }, [isAssessment, visibleServerLogLines]);
   const [algoText, setAlgoText] = useState("");         // THE ALGORITHM latest line
+  const [joinCode, setJoinCode] = useState(null);        // current session join code (ops only)
+  const [roster, setRoster] = useState(null);            // { phase, participants } pushed by the server (ops only)
+  const [autoStartAt, setAutoStartAt] = useState(null);  // local-clock deadline of a pending auto-start
   const [assessmentFinal, setAssessmentFinal] = useState(false);
   const [leaderboardEntries, setLeaderboardEntries] = useState([]);
+  const [teamLeaderboard, setTeamLeaderboard] = useState([]); // squad standings (team mode only)
   const [leaderboardStatus, setLeaderboardStatus] = useState("idle"); // idle | loading | success | error
   const [leaderboardError, setLeaderboardError] = useState(null);
   const [typedNames, setTypedNames] = useState([]);
@@ -2208,7 +2912,11 @@ function HungerCrisisDashboard() {
     setLeaderboardStatus("loading");
     setLeaderboardError(null);
     try {
-      const res = await fetch(`http://localhost:8787/api/session/${encodeURIComponent(assessmentSessionId)}/leaderboard`);
+      const rankQuery = new URLSearchParams();
+      if (LEADERBOARD_RANK_BY) rankQuery.set("rankBy", LEADERBOARD_RANK_BY);
+      if (LEADERBOARD_ORDER) rankQuery.set("order", LEADERBOARD_ORDER);
+      const query = rankQuery.toString();
+      const res = await fetch(`http://localhost:8787/api/session/${encodeURIComponent(assessmentSessionId)}/leaderboard${query ? `?${query}` : ""}`);
       if (!res.ok) {
         throw new Error(`Request failed (${res.status})`);
       }
@@ -2228,6 +2936,11 @@ function HungerCrisisDashboard() {
 
       setLeaderboardEntries(normalized);
       setLeaderboardStatus("success");
+
+      // squads are optional: an older server or a solo session just leaves the team view hidden
+      const teamRes = await fetch(`http://localhost:8787/api/session/${encodeURIComponent(assessmentSessionId)}/leaderboard/teams`).catch(() => null);
+      const teamJson = teamRes?.ok ? await teamRes.json().catch(() => []) : [];
+      setTeamLeaderboard(Array.isArray(teamJson) ? teamJson : []);
     } catch (err) {
       console.error("Failed to fetch leaderboard", err);
       setLeaderboardStatus("error");
@@ -2956,11 +3669,11 @@ function HungerCrisisDashboard() {
           // In assessment: identify as OPS with sessionId. Otherwise keep legacy hello.
           if (isAssessment && assessmentSessionId) {
             try {
-              ws.send(JSON.stringify({ type: "hello", role: "ops", sessionId: assessmentSessionId }));
+              ws.send(JSON.stringify({ type: "hello", role: "ops", sessionId: assessmentSessionId, facilitatorToken: FACILITATOR_KEY }));
             } catch {}
           } else {
             try {
-              ws.send(JSON.stringify({ type: "hello", role: "dashboard" }));
+              ws.send(JSON.stringify({ type: "hello", role: "dashboard", facilitatorToken: FACILITATOR_KEY }));
             } catch {}
           }
         };
@@ -2968,7 +3681,7 @@ function HungerCrisisDashboard() {
           setRemoteConnected(false);
           wsRef.current = null;
           isConnectingRef.current = false;
-          if (unmountedRef.current) return;
+          if (unmountedRef.current || haltReconnectRef.current) return;
           clearTimeout(reconnectTimerRef.current);
           reconnectTimerRef.current = setTimeout(connectOPS, 2500);
         };
@@ -2979,8 +3692,33 @@ function HungerCrisisDashboard() {
         ws.onmessage = (ev) => {
           let msg; try { msg = JSON.parse(ev.data); } catch { return; }
 
+          // the server closes the socket after this, in either mode; retrying with the same key cannot succeed
+          if (msg.type === "error" && msg.error === "FACILITATOR_TOKEN_INVALID") {
+            haltReconnectRef.current = true;
+            setRemoteKeyRejected(true);
+            if (isAssessment) setAlgoText("Facilitator key missing or invalid for this session. Reopen the ops link with ?key=…");
+            return;
+          }
+
           // Assessment-mode messages from server
           if (isAssessment) {
+            if (msg.type === "hello_ack" && msg.role === "ops") {
+              setJoinCode(typeof msg.joinCode === "string" ? msg.joinCode : null);
+              return;
+            }
+            if (msg.type === "join_code" && typeof msg.joinCode === "string") {
+              setJoinCode(msg.joinCode);
+              return;
+            }
+            if (msg.type === "roster" && Array.isArray(msg.participants)) {
+              setRoster({ phase: msg.phase, participants: msg.participants });
+              if (msg.phase !== "lobby") setAutoStartAt(null);
+              return;
+            }
+            if (msg.type === "autostart") {
+              setAutoStartAt(typeof msg.inMs === "number" ? Date.now() + msg.inMs : null);
+              return;
+            }
             if (msg.type === "log_snapshot" && Array.isArray(msg.entries)) {
               const normalized = msg.entries
                 .map((entry) => normalizeLogEntry(entry))
@@ -3033,6 +3771,20 @@ function HungerCrisisDashboard() {
               setServerEvents(Array.from(serverEventsRef.current.values()));
               return;
             }
+            if (msg.type === "branch") {
+              // the scenario forked on the group's outcome; the follow-up events arrive as usual
+              setAlerts((prev) => [{
+                id: crypto.randomUUID(),
+                level: "branch",
+                icon: Sparkles,
+                label: `Branch · ${msg.branch}`,
+                where: msg.title,
+                ts: nowStamp(),
+                details: msg.summary,
+                tone: "bg-violet-500/20 border-violet-500/50"
+              }, ...prev].slice(0, 10));
+              return;
+            }
             if (msg.type === "algo" && msg.text) {
               setAlgoText(msg.text);
               return;
@@ -3041,6 +3793,29 @@ function HungerCrisisDashboard() {
               setAssessmentFinal(true);
               return;
             }
+            if (msg.type === "reset") {
+              // session rerun: drop live events and results, the server follows up with fresh state
+              serverEventsRef.current = new Map();
+              setServerEvents([]);
+              setAlerts([]);
+              setAlgoText("");
+              setAssessmentFinal(false);
+              setLeaderboardEntries([]);
+              setTeamLeaderboard([]);
+              setLeaderboardStatus("idle");
+              if (getViewFromHash() === 'leaderboard') {
+                window.location.hash = '/media';
+              }
+              return;
+            }
+            if (msg.type === "session_expired") {
+              // server garbage-collected this session; stop reconnecting to it
+              haltReconnectRef.current = true;
+              serverEventsRef.current = new Map();
+              setServerEvents([]);
+              setAlgoText("Session expired. Start a new session to continue.");
+              return;
+            }
             if (msg.type === "tick") {
               // could update a clock/countdown if desired
               return;
@@ -3305,21 +4080,23 @@ function HungerCrisisDashboard() {
               <Separator orientation="vertical" className="h-4 bg-white/20" />
               <div className="font-mono">{clock}</div>
               <Separator orientation="vertical" className="h-4 bg-white/20" />
-              <div className={`flex items-center gap-2 text-sm ${remoteConnected ? 'text-emerald-400' : 'text-white/50'}`}>
+              <div
+                className={`flex items-center gap-2 text-sm ${remoteKeyRejected ? 'text-red-400' : remoteConnected ? 'text-emerald-400' : 'text-white/50'}`}
+                title={remoteKeyRejected ? 'Facilitator key missing or invalid. Reopen the dashboard with ?key=…' : undefined}
+              >
                 <Radio className="w-4 h-4" />
-                {remoteConnected ? 'Remote: Connected' : 'Remote: Offline'}
+                {remoteKeyRejected ? 'Remote: Key rejected' : remoteConnected ? 'Remote: Connected' : 'Remote: Offline'}
               </div>
               <Separator orientation="vertical" className="h-4 bg-white/20" />
               <div className="flex items-center gap-2 text-xs">
                 <a href="#/ops" className={`px-2 py-0.5 rounded border ${view === 'ops' ? 'bg-white/10 border-white/30 text-white' : 'border-white/10 text-white/60 hover:text-white/80'}`}>OPS</a>
                 <a href="#/media" className={`px-2 py-0.5 rounded border ${view === 'media' ? 'bg-white/10 border-white/30 text-white' : 'border-white/10 text-white/60 hover:text-white/80'}`}>MEDIA</a>
               </div>
-              <button
-                onClick={handleStartNewSession}
-                className="px-3 py-2 ml-3 rounded-md bg-blue-700 hover:bg-blue-600 text-white text-sm"
-              >
-                Start New Session
-              </button>
+              <SessionPicker
+                currentSessionId={assessmentSessionId}
+                onSelect={(sessionId) => redirectToSession(sessionId, view)}
+              />
+              <ScenarioPicker onStart={handleStartNewSession} />
             </div>
           </div>
         </header>
@@ -3552,7 +4329,7 @@ function HungerCrisisDashboard() {
 
                 <div className="col-[2/3] row-[2/3] min-h-0">
                   {isAssessment ? (
-                    <QRCard sessionId={assessmentSessionId} />
+                    <QRCard sessionId={assessmentSessionId} joinCode={joinCode} autoStartAt={autoStartAt} />
                   ) : (
                     <Card className="flex h-full flex-col bg-neutral-900/90 border-white/10">
                       <CardHeader className="pb-2">
@@ -3758,6 +4535,7 @@ function HungerCrisisDashboard() {
                 algoText={algoText}
                 sessionId={assessmentSessionId}
                 isAssessment={isAssessment}
+                teamRows={teamLeaderboard}
               />
             ) : view === 'ops' ? (
               <div className="flex h-full min-h-0 flex-col gap-4">
@@ -3776,34 +4554,38 @@ function HungerCrisisDashboard() {
                         <HotspotMap alerts={mapAlerts} heightClass="h-full" />
                       </CardContent>
                     </Card>
-                    <Card className="flex flex-col bg-neutral-900/90 border-white/10">
-                      <CardHeader className="pb-3">
-                        <CardTitle className="flex items-center gap-2 text-white/90 text-lg"><Siren className="w-4 h-4" /> Alerts</CardTitle>
-                        <CardDescription className="text-white/50">Latest notifications</CardDescription>
-                      </CardHeader>
-                      <CardContent className="flex-1 min-h-0 space-y-3 overflow-hidden">
-                        {alertHighlights.length === 0 && (
-                          <div className="rounded-xl border border-dashed border-white/10 bg-black/40 px-3 py-4 text-sm text-white/60">
-                            No active alerts.
-                          </div>
-                        )}
-                        {alertHighlights.map((entry) => {
-                          const AlertIcon = entry.icon ?? Siren;
-                          return (
-                            <div key={entry.id} className="rounded-xl border border-white/10 bg-black/40 px-3 py-3">
-                              <div className="flex items-center justify-between gap-2 text-sm text-white/80">
-                                <div className="flex items-center gap-2">
-                                  <AlertIcon className="h-4 w-4" />
-                                  <span>{entry.label}</span>
+                    {isAssessment && roster?.phase === 'lobby' ? (
+                      <LobbyRosterPanel participants={roster.participants} autoStartAt={autoStartAt} />
+                    ) : (
+                      <Card className="flex flex-col bg-neutral-900/90 border-white/10">
+                        <CardHeader className="pb-3">
+                          <CardTitle className="flex items-center gap-2 text-white/90 text-lg"><Siren className="w-4 h-4" /> Alerts</CardTitle>
+                          <CardDescription className="text-white/50">Latest notifications</CardDescription>
+                        </CardHeader>
+                        <CardContent className="flex-1 min-h-0 space-y-3 overflow-hidden">
+                          {alertHighlights.length === 0 && (
+                            <div className="rounded-xl border border-dashed border-white/10 bg-black/40 px-3 py-4 text-sm text-white/60">
+                              No active alerts.
+                            </div>
+                          )}
+                          {alertHighlights.map((entry) => {
+                            const AlertIcon = entry.icon ?? Siren;
+                            return (
+                              <div key={entry.id} className="rounded-xl border border-white/10 bg-black/40 px-3 py-3">
+                                <div className="flex items-center justify-between gap-2 text-sm text-white/80">
+                                  <div className="flex items-center gap-2">
+                                    <AlertIcon className="h-4 w-4" />
+                                    <span>{entry.label}</span>
+                                  </div>
+                                  <Badge className="bg-white/10 border-white/20 text-white/70">{entry.level?.toUpperCase?.() ?? 'ALERT'}</Badge>
                                 </div>
-                                <Badge className="bg-white/10 border-white/20 text-white/70">{entry.level?.toUpperCase?.() ?? 'ALERT'}</Badge>
+                                <div className="mt-1 text-xs text-white/60">{entry.details}</div>
                               </div>
-                              <div className="mt-1 text-xs text-white/60">{entry.details}</div>
-                            </div>
-                          );
-                        })}
-                      </CardContent>
-                    </Card>
+                            );
+                          })}
+                        </CardContent>
+                      </Card>
+                    )}
                   </div>
                 </div>
 